@@ -1,5 +1,8 @@
 // Day 2 Practice: Components & Props
 // Topic: Functional Components, Props, PropTypes
+//
+// The Button and Card the apps use live in the shared kit (shared/ui);
+// the ones here are named after the lesson they show.
 
 import React from 'react';
 import PropTypes from 'prop-types';
@@ -15,7 +18,7 @@ function UserCard({ name, email }) {
 }
 
 // Practice 2: Component with Default Props
-function Button({ label, onClick, variant = 'primary' }) {
+function DefaultPropsButton({ label, onClick, variant = 'primary' }) {
   return (
     <button 
       className={`btn btn-${variant}`}
@@ -26,7 +29,7 @@ function Button({ label, onClick, variant = 'primary' }) {
   );
 }
 
-Button.defaultProps = {
+DefaultPropsButton.defaultProps = {
   label: 'Click me',
   variant: 'primary'
 };
@@ -109,7 +112,7 @@ Counter.propTypes = {
 };
 
 // Practice 7: Component with children
-function Card({ title, children }) {
+function CardWithChildren({ title, children }) {
   return (
     <div className="card">
       <h2>{title}</h2>
@@ -120,13 +123,13 @@ function Card({ title, children }) {
   );
 }
 
-Card.propTypes = {
+CardWithChildren.propTypes = {
   title: PropTypes.string.isRequired,
   children: PropTypes.node
 };
 
 // Practice 8: Spread Props
-function Button({ className, children, ...restProps }) {
+function SpreadButton({ className, children, ...restProps }) {
   return (
     <button 
       className={`btn ${className || ''}`}
@@ -139,10 +142,11 @@ function Button({ className, children, ...restProps }) {
 
 export {
   UserCard,
-  Button,
+  DefaultPropsButton,
   Product,
   Profile,
   ShoppingList,
   Counter,
-  Card
+  CardWithChildren,
+  SpreadButton
 };
@@ -0,0 +1,298 @@
+// Day 3 Practice: Kanban Board
+// Topic: Building an interactive board on top of TaskBoard (Practice 10)
+//
+// The host app owns the tasks: the board renders `tasks` and reports every
+// change through `onChange(nextTasks, change)`. Order within a column is
+// the order of the tasks array.
+
+import { useState } from 'react';
+import { TaskCard } from './rendering-lists';
+
+const DEFAULT_COLUMNS = [
+  { id: 'todo', title: 'To Do' },
+  { id: 'in-progress', title: 'In Progress', wipLimit: 3 },
+  { id: 'done', title: 'Done' }
+];
+
+// Move a task into `status`, placing it before `beforeId`
+// or at the end of that column when `beforeId` is null
+function moveTask(tasks, taskId, status, beforeId) {
+  const task = tasks.find(t => t.id === taskId);
+  const rest = tasks.filter(t => t.id !== taskId);
+  const moved = { ...task, status };
+
+  if (beforeId === null) {
+    const lastIndex = rest.map(t => t.status).lastIndexOf(status);
+    rest.splice(lastIndex === -1 ? rest.length : lastIndex + 1, 0, moved);
+  } else {
+    rest.splice(rest.findIndex(t => t.id === beforeId), 0, moved);
+  }
+
+  return rest;
+}
+
+function wipState(count, wipLimit) {
+  if (!wipLimit) return 'ok';
+  if (count > wipLimit) return 'over';
+  if (count === wipLimit) return 'full';
+  return 'ok';
+}
+
+const WIP_COLORS = { ok: '#ddd', full: '#fd7e14', over: '#dc3545' };
+
+function TaskForm({ initialTask, onSave, onCancel }) {
+  const [title, setTitle] = useState(initialTask.title);
+  const [description, setDescription] = useState(initialTask.description);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (title.trim()) {
+      onSave({ ...initialTask, title: title.trim(), description: description.trim() });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ marginBottom: '10px' }}>
+      <input
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+        placeholder="Title"
+        aria-label="Task title"
+        autoFocus
+        style={{ width: '100%', padding: '6px', marginBottom: '5px' }}
+      />
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Description"
+        aria-label="Task description"
+        rows={2}
+        style={{ width: '100%', padding: '6px', marginBottom: '5px' }}
+      />
+      <button type="submit" disabled={!title.trim()}>Save</button>
+      <button type="button" onClick={onCancel} style={{ marginLeft: '5px' }}>
+        Cancel
+      </button>
+    </form>
+  );
+}
+
+function KanbanBoard({ tasks, columns = DEFAULT_COLUMNS, onChange }) {
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { status, beforeId }
+  const [editingId, setEditingId] = useState(null);
+  const [addingTo, setAddingTo] = useState(null);
+
+  const readOnly = !onChange;
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(task.id));
+    setDraggedId(task.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropTarget(null);
+  };
+
+  // Hovering over the top half of a card drops before it, the bottom half after it
+  const handleCardDragOver = (e, column, task, columnTasks) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    const index = columnTasks.indexOf(task);
+    const next = after ? columnTasks[index + 1] : task;
+    const beforeId = next ? next.id : null;
+
+    if (!dropTarget || dropTarget.status !== column.id || dropTarget.beforeId !== beforeId) {
+      setDropTarget({ status: column.id, beforeId });
+    }
+  };
+
+  const handleColumnDragOver = (e, column) => {
+    e.preventDefault();
+    if (!dropTarget || dropTarget.status !== column.id) {
+      setDropTarget({ status: column.id, beforeId: null });
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+
+    if (draggedId !== null && dropTarget && dropTarget.beforeId !== draggedId) {
+      const task = tasks.find(t => t.id === draggedId);
+      const nextTasks = moveTask(tasks, draggedId, dropTarget.status, dropTarget.beforeId);
+
+      // Dropped where it already was (e.g. just after itself): nothing to report
+      const columnOrder = (list) => JSON.stringify(list.filter(t => t.status === task.status).map(t => t.id));
+      const moved = dropTarget.status !== task.status || columnOrder(nextTasks) !== columnOrder(tasks);
+
+      if (moved) {
+        onChange(nextTasks, {
+          type: 'move',
+          task: { ...task, status: dropTarget.status },
+          from: task.status
+        });
+      }
+    }
+
+    handleDragEnd();
+  };
+
+  const createTask = (task) => {
+    const created = { ...task, id: Date.now() };
+    onChange(moveTask([...tasks, created], created.id, created.status, null), {
+      type: 'create',
+      task: created
+    });
+    setAddingTo(null);
+  };
+
+  const updateTask = (task) => {
+    onChange(tasks.map(t => (t.id === task.id ? task : t)), { type: 'update', task });
+    setEditingId(null);
+  };
+
+  const deleteTask = (task) => {
+    onChange(tasks.filter(t => t.id !== task.id), { type: 'delete', task });
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '15px', alignItems: 'flex-start' }}>
+      {columns.map(column => {
+        const columnTasks = tasks.filter(t => t.status === column.id);
+        const wip = wipState(columnTasks.length, column.wipLimit);
+        const isDropColumn = dropTarget && dropTarget.status === column.id;
+
+        return (
+          <section
+            key={column.id}
+            onDragOver={readOnly ? undefined : (e) => handleColumnDragOver(e, column)}
+            onDrop={readOnly ? undefined : handleDrop}
+            aria-labelledby={`column-${column.id}`}
+            style={{
+              flex: 1,
+              minWidth: '200px',
+              padding: '10px',
+              background: isDropColumn ? '#e7f1ff' : '#f4f5f7',
+              border: `2px solid ${WIP_COLORS[wip]}`,
+              borderRadius: '8px'
+            }}
+          >
+            <h2 id={`column-${column.id}`} style={{ fontSize: '18px' }}>
+              {column.title} ({columnTasks.length}
+              {column.wipLimit ? `/${column.wipLimit}` : ''})
+            </h2>
+
+            {wip !== 'ok' && (
+              <p role="status" style={{ color: WIP_COLORS[wip], fontSize: '14px', margin: '0 0 10px' }}>
+                {wip === 'over'
+                  ? `Over the WIP limit of ${column.wipLimit}. Finish something first!`
+                  : 'At the WIP limit'}
+              </p>
+            )}
+
+            {columnTasks.map(task => (
+              <div key={task.id}>
+                {isDropColumn && dropTarget.beforeId === task.id && <DropIndicator />}
+
+                {editingId === task.id ? (
+                  <TaskForm
+                    initialTask={task}
+                    onSave={updateTask}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <div
+                    draggable={!readOnly}
+                    onDragStart={(e) => handleDragStart(e, task)}
+                    onDragEnd={handleDragEnd}
+                    onDragOver={readOnly ? undefined : (e) => handleCardDragOver(e, column, task, columnTasks)}
+                    style={{
+                      marginBottom: '10px',
+                      padding: '5px 10px',
+                      background: 'white',
+                      borderRadius: '4px',
+                      boxShadow: '0 1px 2px rgba(0,0,0,0.2)',
+                      cursor: readOnly ? 'default' : 'grab',
+                      opacity: draggedId === task.id ? 0.4 : 1
+                    }}
+                  >
+                    <TaskCard task={task} />
+                    {!readOnly && (
+                      <div style={{ marginBottom: '5px' }}>
+                        <button onClick={() => setEditingId(task.id)}>Edit</button>
+                        <button onClick={() => deleteTask(task)} style={{ marginLeft: '5px' }}>
+                          Delete
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+
+            {isDropColumn && dropTarget.beforeId === null && <DropIndicator />}
+
+            {!readOnly && (addingTo === column.id ? (
+              <TaskForm
+                initialTask={{ title: '', description: '', status: column.id }}
+                onSave={createTask}
+                onCancel={() => setAddingTo(null)}
+              />
+            ) : (
+              <button onClick={() => setAddingTo(column.id)} style={{ width: '100%' }}>
+                + Add card
+              </button>
+            ))}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
+
+function DropIndicator() {
+  return <div style={{ height: '4px', marginBottom: '6px', background: '#007bff', borderRadius: '2px' }} />;
+}
+
+const columnTitle = (id) => (DEFAULT_COLUMNS.find(column => column.id === id) || { title: id }).title;
+
+const CHANGE_LABELS = {
+  create: (change) => `Added "${change.task.title}"`,
+  update: (change) => `Edited "${change.task.title}"`,
+  delete: (change) => `Deleted "${change.task.title}"`,
+  move: (change) => change.from === change.task.status
+    ? `Reordered "${change.task.title}"`
+    : `Moved "${change.task.title}" from ${columnTitle(change.from)} to ${columnTitle(change.task.status)}`
+};
+
+// Example host: keeps the tasks in state and shows the last change
+function KanbanBoardExample() {
+  const [tasks, setTasks] = useState([
+    { id: 1, title: 'Write docs', description: 'Document the board props', status: 'todo' },
+    { id: 2, title: 'Add WIP limits', description: 'Warn when a column is full', status: 'in-progress' },
+    { id: 3, title: 'Render columns', description: 'Split tasks by status', status: 'done' }
+  ]);
+  const [lastChange, setLastChange] = useState(null);
+
+  const handleChange = (nextTasks, change) => {
+    setTasks(nextTasks);
+    setLastChange(change);
+  };
+
+  return (
+    <div>
+      <KanbanBoard tasks={tasks} onChange={handleChange} />
+      <p role="status" style={{ color: '#666', fontSize: '14px' }}>
+        {lastChange ? CHANGE_LABELS[lastChange.type](lastChange) : 'Drag a card to move it'}
+      </p>
+    </div>
+  );
+}
+
+export { KanbanBoard, KanbanBoardExample, DEFAULT_COLUMNS, moveTask };
@@ -202,5 +202,6 @@ export {
   CategoryList,
   TodoList,
   ShoppingList,
-  TaskBoard
+  TaskBoard,
+  TaskCard
 };
@@ -2,6 +2,7 @@
 // Topic: State management with useState
 
 import { useState } from 'react';
+import { FormInspector } from '../../shared/form-inspector';
 
 // Practice 1: Simple Counter
 function SimpleCounter() {
@@ -194,44 +195,51 @@ function UserForm() {
     console.log('Form submitted:', formData);
   };
   
+  // FormInspector adds a debugging panel in development builds only
   return (
-    <form onSubmit={handleSubmit}>
-      <div>
-        <input
-          type="text"
-          placeholder="Username"
-          value={formData.username}
-          onChange={(e) => handleChange('username', e.target.value)}
-        />
-      </div>
-      <div>
-        <input
-          type="email"
-          placeholder="Email"
-          value={formData.email}
-          onChange={(e) => handleChange('email', e.target.value)}
-        />
-      </div>
-      <div>
-        <input
-          type="password"
-          placeholder="Password"
-          value={formData.password}
-          onChange={(e) => handleChange('password', e.target.value)}
-        />
-      </div>
-      <div>
-        <label>
+    <FormInspector name="UserForm" state={{ values: formData }} sensitive={['password']}>
+      <form onSubmit={handleSubmit}>
+        <div>
           <input
-            type="checkbox"
-            checked={formData.agree}
-            onChange={(e) => handleChange('agree', e.target.checked)}
+            type="text"
+            name="username"
+            placeholder="Username"
+            value={formData.username}
+            onChange={(e) => handleChange('username', e.target.value)}
           />
-          I agree to terms
-        </label>
-      </div>
-      <button type="submit">Submit</button>
-    </form>
+        </div>
+        <div>
+          <input
+            type="email"
+            name="email"
+            placeholder="Email"
+            value={formData.email}
+            onChange={(e) => handleChange('email', e.target.value)}
+          />
+        </div>
+        <div>
+          <input
+            type="password"
+            name="password"
+            placeholder="Password"
+            value={formData.password}
+            onChange={(e) => handleChange('password', e.target.value)}
+          />
+        </div>
+        <div>
+          <label>
+            <input
+              type="checkbox"
+              name="agree"
+              checked={formData.agree}
+              onChange={(e) => handleChange('agree', e.target.checked)}
+            />
+            I agree to terms
+          </label>
+        </div>
+        <button type="submit">Submit</button>
+      </form>
+    </FormInspector>
   );
 }
 
@@ -2,6 +2,7 @@
 // Topic: onClick, onChange, onSubmit, event object
 
 import { useState } from 'react';
+import { FormInspector } from '../../shared/form-inspector';
 
 // Practice 1: Basic Click Handler
 function ClickButton() {
@@ -44,21 +45,25 @@ function LoginForm() {
   };
   
   return (
-    <form onSubmit={handleSubmit}>
-      <input
-        type="email"
-        value={email}
-        onChange={(e) => setEmail(e.target.value)}
-        placeholder="Email"
-      />
-      <input
-        type="password"
-        value={password}
-        onChange={(e) => setPassword(e.target.value)}
-        placeholder="Password"
-      />
-      <button type="submit">Login</button>
-    </form>
+    <FormInspector name="LoginForm" state={{ values: { email, password } }} sensitive={['password']}>
+      <form onSubmit={handleSubmit}>
+        <input
+          type="email"
+          name="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+        />
+        <input
+          type="password"
+          name="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+        />
+        <button type="submit">Login</button>
+      </form>
+    </FormInspector>
   );
 }
 
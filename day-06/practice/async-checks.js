@@ -0,0 +1,92 @@
+// Async field checks for useSchemaForm
+// Each field has at most one check at a time. Starting a new one aborts
+// the old one (through the `signal` its validator got) and resolves it
+// with null, so a slow answer for an old value never lands. Checks wait
+// `delay` ms first, which debounces them while the user types. Answers are
+// remembered per value, so asking about the same value again is instant.
+//
+// Kept free of React so it can be tested against the mock server
+// (see async-checks.test.js).
+
+export const CHECK_FAILED = 'Could not check this value. Please try again.';
+
+// Values may be objects (e.g. a phone number), so compare their contents
+export const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// onPending(name, pending) is called when a field starts or stops waiting,
+// onResult(name, error) whenever a check that wasn't replaced has its answer
+export function createAsyncChecks({ onPending = () => {}, onResult = () => {} } = {}) {
+  let running = {};
+  let results = {};
+
+  const cancel = (name) => {
+    const check = running[name];
+    if (!check) return;
+    clearTimeout(check.timer);
+    check.controller.abort();
+    check.resolve(null);
+    delete running[name];
+  };
+
+  // validate(signal) resolves with the error message, '' when valid.
+  // Resolves with that message, or null when a newer check replaced this one.
+  const run = (name, value, validate, delay = 0) => {
+    cancel(name);
+
+    const cached = results[name];
+    if (cached && sameValue(cached.value, value)) {
+      onPending(name, false);
+      onResult(name, cached.error);
+      return Promise.resolve(cached.error);
+    }
+
+    onPending(name, true);
+
+    return new Promise(resolve => {
+      const controller = new AbortController();
+      const check = { controller, resolve };
+      running[name] = check;
+
+      check.timer = setTimeout(async () => {
+        let error;
+        try {
+          error = (await validate(controller.signal)) || '';
+          results[name] = { value, error };
+        } catch (err) {
+          // Not cached, so the next change or blur asks again
+          error = CHECK_FAILED;
+        }
+        if (controller.signal.aborted) return;
+
+        delete running[name];
+        onPending(name, false);
+        onResult(name, error);
+        resolve(error);
+      }, delay);
+    });
+  };
+
+  // Runs [{ name, value, validate }] straight away, reusing cached answers,
+  // and resolves with the names that came back invalid once every check is
+  // done. A submit waits on this, so it can't go out with a check pending.
+  const runAll = async (list) => {
+    const errors = await Promise.all(list.map(({ name, value, validate }) => run(name, value, validate, 0)));
+    return list.filter((check, index) => errors[index] !== '').map(({ name }) => name);
+  };
+
+  // Record an answer that came from elsewhere, e.g. a server field error
+  const remember = (name, value, error) => {
+    results[name] = { value, error };
+  };
+
+  const isPending = (name) => Boolean(running[name]);
+
+  const cancelAll = () => Object.keys(running).forEach(cancel);
+
+  const clear = () => {
+    cancelAll();
+    results = {};
+  };
+
+  return { run, runAll, cancel, cancelAll, remember, isPending, clear };
+}
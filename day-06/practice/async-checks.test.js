@@ -0,0 +1,115 @@
+// Tests for async-checks.js against the real mock server
+// Run with: node --test day-06/practice/
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHECK_FAILED, createAsyncChecks } from './async-checks.js';
+import { createRegistrationApi } from './registration-api.js';
+import { startMockServer } from './mock-server-process.js';
+
+const DELAY = 100;
+
+let server;
+let api;
+
+before(async () => {
+  server = await startMockServer({ DELAY });
+  api = createRegistrationApi(server.url);
+});
+
+after(() => server.stop());
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// An email validator that records every request it makes
+const emailCheck = (value, requests) => (signal) => {
+  requests.push({ value, signal });
+  return api.checkAvailability('email', value, signal)
+    .then(available => (available ? '' : 'This email is already registered'));
+};
+
+test('rapid changes only check the last value', async () => {
+  const checks = createAsyncChecks();
+  const requests = [];
+
+  const typed = ['t', 'ta', 'tak', 'taken@example.com'].map(value =>
+    checks.run('email', value, emailCheck(value, requests), 50)
+  );
+
+  assert.deepEqual(await Promise.all(typed), [null, null, null, 'This email is already registered']);
+  assert.deepEqual(requests.map(r => r.value), ['taken@example.com']);
+});
+
+test('a newer check aborts the one in flight', async () => {
+  const checks = createAsyncChecks();
+  const requests = [];
+
+  const stale = checks.run('email', 'taken@example.com', emailCheck('taken@example.com', requests), 0);
+  // Let the first request reach the server before replacing it
+  await wait(DELAY / 2);
+  const fresh = checks.run('email', 'new@example.com', emailCheck('new@example.com', requests), 0);
+
+  assert.equal(await stale, null);
+  assert.equal(await fresh, '');
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].signal.aborted, true);
+  assert.equal(requests[1].signal.aborted, false);
+});
+
+test('results are reused for a value that was already checked', async () => {
+  const checks = createAsyncChecks();
+  const requests = [];
+
+  await checks.run('email', 'admin@example.com', emailCheck('admin@example.com', requests), 0);
+  const again = await checks.run('email', 'admin@example.com', emailCheck('admin@example.com', requests), 0);
+
+  assert.equal(again, 'This email is already registered');
+  assert.equal(requests.length, 1);
+});
+
+test('submit waits for pending checks and reports the invalid fields', async () => {
+  const pending = {};
+  const checks = createAsyncChecks({
+    onPending: (name, isPending) => { pending[name] = isPending; }
+  });
+  const requests = [];
+
+  // The user is still typing when they press submit
+  checks.run('email', 'taken@example.com', emailCheck('taken@example.com', requests), 500);
+  assert.equal(pending.email, true);
+
+  let settled = false;
+  const submit = checks.runAll([
+    { name: 'email', value: 'taken@example.com', validate: emailCheck('taken@example.com', requests) },
+    {
+      name: 'phoneNumber',
+      value: '+15550100000',
+      validate: (signal) => api.checkAvailability('phoneNumber', '+15550100000', signal)
+        .then(available => (available ? '' : 'This phone number is already registered'))
+    }
+  ]).then(invalid => {
+    settled = true;
+    return invalid;
+  });
+
+  await wait(DELAY / 2);
+  assert.equal(settled, false, 'submit went ahead while checks were still running');
+  assert.equal(checks.isPending('email'), true);
+
+  assert.deepEqual(await submit, ['email']);
+  assert.equal(pending.email, false);
+  assert.equal(requests.length, 1);
+});
+
+test('a failed check asks again next time', async () => {
+  const checks = createAsyncChecks();
+  let calls = 0;
+  const failing = () => {
+    calls += 1;
+    return Promise.reject(new Error('offline'));
+  };
+
+  assert.equal(await checks.run('email', 'me@example.com', failing, 0), CHECK_FAILED);
+  assert.equal(await checks.run('email', 'me@example.com', failing, 0), CHECK_FAILED);
+  assert.equal(calls, 2);
+});
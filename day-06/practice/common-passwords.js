@@ -0,0 +1,44 @@
+// Bundled word lists for the password strength estimator, most common first.
+// A word's position is its rank: the lower it is, the sooner an attacker
+// tries it.
+
+export const COMMON_PASSWORDS = [
+  '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111',
+  '1234567', 'dragon', '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein',
+  '696969', 'shadow', 'master', '666666', 'qwertyuiop', '123321', 'mustang', '1234567890',
+  'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212', '000000', 'qazwsx',
+  '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter',
+  'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou',
+  '2000', 'charlie', 'robert', 'thomas', 'hockey', 'ranger', 'daniel', 'starwars',
+  'klaster', '112233', 'george', 'computer', 'michelle', 'jessica', 'pepper', '1111',
+  'zxcvbn', '555555', '11111111', '131313', 'freedom', '777777', 'pass', 'maggie',
+  '159753', 'aaaaaa', 'ginger', 'princess', 'joshua', 'cheese', 'amanda', 'summer',
+  'love', 'ashley', 'nicole', 'chelsea', 'biteme', 'matthew', 'access', 'yankees',
+  '987654321', 'dallas', 'austin', 'thunder', 'taylor', 'matrix', 'mobilemail', 'mom',
+  'monitor', 'monitoring', 'montana', 'moon', 'moscow', 'welcome', 'passw0rd', 'admin',
+  'login', 'abc', 'qwerty123', 'solo', 'superstar', 'flower', 'hottie', 'loveme',
+  'zaq1zaq1', 'password1', 'password123', 'hello', 'whatever', 'donald', 'secret', 'azerty',
+  'football1', 'baseball1', 'welcome1', 'admin123', 'root', 'toor', 'changeme', 'letmein1',
+  'iloveyou1', 'princess1', 'sunshine1', 'qwerty1', 'abc12345', 'test', 'test123', 'guest',
+  'default', 'p@ssw0rd', 'p@ssword', 'pa55word', 'lovely', 'samsung', 'apple', 'google',
+  'internet', 'cookie', 'chocolate', 'blink182', 'pokemon', 'naruto', 'minecraft', 'fortnite'
+];
+
+// Common English words and names that show up inside passwords
+export const COMMON_WORDS = [
+  'love', 'password', 'baby', 'angel', 'girl', 'boy', 'life', 'star', 'summer', 'winter',
+  'spring', 'autumn', 'blue', 'red', 'green', 'black', 'white', 'pink', 'purple', 'orange',
+  'happy', 'sunny', 'sun', 'moon', 'sky', 'rain', 'snow', 'fire', 'water', 'earth',
+  'dragon', 'tiger', 'lion', 'eagle', 'wolf', 'bear', 'dog', 'cat', 'horse', 'monkey',
+  'house', 'home', 'family', 'friend', 'friends', 'forever', 'always', 'never', 'secret', 'magic',
+  'music', 'rock', 'dance', 'game', 'games', 'player', 'soccer', 'football', 'hockey', 'team',
+  'king', 'queen', 'prince', 'princess', 'lady', 'sweet', 'honey', 'sugar', 'candy', 'cookie',
+  'coffee', 'pizza', 'apple', 'banana', 'cherry', 'lemon', 'peach', 'hello', 'welcome', 'world',
+  'money', 'power', 'super', 'master', 'admin', 'user', 'login', 'pass', 'word', 'letmein',
+  'computer', 'internet', 'phone', 'mobile', 'school', 'college', 'work', 'office', 'city', 'york',
+  'london', 'paris', 'america', 'india', 'china', 'january', 'february', 'march', 'april', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december', 'monday', 'friday', 'sunday', 'christmas',
+  'jesus', 'god', 'heaven', 'freedom', 'peace', 'hope', 'faith', 'lucky', 'charlie', 'michael',
+  'john', 'david', 'james', 'robert', 'daniel', 'thomas', 'jessica', 'ashley', 'jennifer', 'sarah',
+  'correct', 'battery', 'staple', 'spider', 'yellow', 'brown', 'shadow', 'silver', 'golden', 'diamond'
+];
@@ -0,0 +1,54 @@
+// Calendar dates without times
+// `new Date('2000-01-15')` is midnight UTC, which is still the 14th west of
+// Greenwich. A date of birth has no time or timezone, so these helpers work
+// on plain { year, month, day } objects (month is 1-12) and read "today"
+// from the user's local clock.
+
+const pad = (n, length = 2) => String(n).padStart(length, '0');
+
+export const isLeapYear = (year) =>
+  (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+export const daysInMonth = (year, month) =>
+  [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+
+// Parses YYYY-MM-DD (what <input type="date"> gives), or returns null
+// for anything else, including days that don't exist like 2023-02-29
+export function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) return null;
+
+  return { year, month, day };
+}
+
+export const formatDate = ({ year, month, day }) => `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+
+export function today(now = new Date()) {
+  return { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+}
+
+// Negative when a is earlier than b
+export const compareDates = (a, b) =>
+  a.year - b.year || a.month - b.month || a.day - b.day;
+
+// Feb 29 becomes Feb 28 in years without one
+export function addYears(date, years) {
+  const year = date.year + years;
+  return { year, month: date.month, day: Math.min(date.day, daysInMonth(year, date.month)) };
+}
+
+// Whole years between `birthDate` and `on`. Someone born on Feb 29 has
+// their birthday on Mar 1 in other years, which is how most countries
+// count it for legal age.
+export function ageOn(birthDate, on) {
+  const age = on.year - birthDate.year;
+  const hadBirthday = on.month > birthDate.month ||
+    (on.month === birthDate.month && on.day >= birthDate.day);
+  return hadBirthday ? age : age - 1;
+}
+
+// Latest date of birth for someone who is at least `age` years old on `on`
+export const latestBirthDateFor = (age, on) => addYears(on, -age);
@@ -0,0 +1,71 @@
+// Tests for dates.js
+// Run with: node --test day-06/practice/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addYears, ageOn, latestBirthDateFor, parseDate } from './dates.js';
+
+const date = (value) => {
+  const parsed = parseDate(value);
+  assert.ok(parsed, `${value} should parse`);
+  return parsed;
+};
+
+test('parseDate reads YYYY-MM-DD', () => {
+  assert.deepEqual(parseDate('2000-01-15'), { year: 2000, month: 1, day: 15 });
+  assert.deepEqual(parseDate('2024-02-29'), { year: 2024, month: 2, day: 29 });
+});
+
+test('parseDate rejects days that do not exist', () => {
+  assert.equal(parseDate('2023-02-29'), null);
+  assert.equal(parseDate('1900-02-29'), null);
+  assert.equal(parseDate('2023-04-31'), null);
+  assert.equal(parseDate('2023-13-01'), null);
+  assert.equal(parseDate('2023-00-10'), null);
+});
+
+test('parseDate rejects other formats', () => {
+  assert.equal(parseDate(''), null);
+  assert.equal(parseDate(null), null);
+  assert.equal(parseDate('15/01/2000'), null);
+  assert.equal(parseDate('2000-1-15'), null);
+});
+
+test('ageOn turns 18 on the birthday, not the day before', () => {
+  const birthDate = date('2005-06-15');
+  assert.equal(ageOn(birthDate, date('2023-06-14')), 17);
+  assert.equal(ageOn(birthDate, date('2023-06-15')), 18);
+});
+
+test('ageOn counts a Feb 29 birthday from Mar 1 in other years', () => {
+  const birthDate = date('2004-02-29');
+  assert.equal(ageOn(birthDate, date('2022-02-28')), 17);
+  assert.equal(ageOn(birthDate, date('2022-03-01')), 18);
+  // In a leap year the birthday is on the day itself
+  assert.equal(ageOn(birthDate, date('2024-02-28')), 19);
+  assert.equal(ageOn(birthDate, date('2024-02-29')), 20);
+});
+
+test('ageOn across the new year', () => {
+  const birthDate = date('2005-01-01');
+  assert.equal(ageOn(birthDate, date('2022-12-31')), 17);
+  assert.equal(ageOn(birthDate, date('2023-01-01')), 18);
+});
+
+test('addYears keeps the day when it exists', () => {
+  assert.deepEqual(addYears(date('2023-06-15'), -18), { year: 2005, month: 6, day: 15 });
+  assert.deepEqual(addYears(date('2024-02-29'), 4), { year: 2028, month: 2, day: 29 });
+});
+
+test('addYears turns Feb 29 into Feb 28 in years without one', () => {
+  assert.deepEqual(addYears(date('2024-02-29'), 1), { year: 2025, month: 2, day: 28 });
+  assert.deepEqual(addYears(date('2024-02-29'), -18), { year: 2006, month: 2, day: 28 });
+});
+
+test('latestBirthDateFor matches ageOn', () => {
+  const on = date('2023-06-15');
+  const latest = latestBirthDateFor(18, on);
+  assert.deepEqual(latest, { year: 2005, month: 6, day: 15 });
+  assert.equal(ageOn(latest, on), 18);
+  assert.equal(ageOn(date('2005-06-16'), on), 17);
+});
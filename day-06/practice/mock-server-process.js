@@ -0,0 +1,47 @@
+// Runs mock-server.mjs in a child process, for the tests that talk to it
+// (async-checks.test.js, submit-adapter.test.js). Each server gets its own
+// free port, so test files can run side by side.
+
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import net from 'node:net';
+import { fileURLToPath } from 'node:url';
+
+const SERVER_PATH = fileURLToPath(new URL('./mock-server.mjs', import.meta.url));
+
+// A port nothing listens on right now
+export async function freePort() {
+  const probe = net.createServer().listen(0);
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  probe.close();
+  await once(probe, 'close');
+  return port;
+}
+
+// `env` takes the server's options, e.g. { DELAY: 100, FAIL_RATE: 1 }.
+// Resolves with { url, stop } once the server is listening.
+export async function startMockServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('listening')) resolve();
+    });
+    child.once('exit', code => reject(new Error(`Mock server exited with code ${code}`)));
+  });
+
+  const stop = async () => {
+    if (child.exitCode !== null) return;
+    child.kill();
+    await once(child, 'exit');
+  };
+
+  return { url: `http://localhost:${port}`, stop };
+}
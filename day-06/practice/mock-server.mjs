@@ -0,0 +1,143 @@
+// Local mock server for RegistrationForm
+// Run with: node day-06/practice/mock-server.mjs
+// Then render <RegistrationForm apiUrl="http://localhost:4001" />
+//
+//   GET  /availability?field=email|phoneNumber&value=...  -> { available }
+//   POST /register  -> 201 { id }, or 422 { errors: [{ field, message }] }
+//
+// Options (environment variables):
+//   PORT=4001        port to listen on
+//   DELAY=600        artificial latency in ms, to watch the "Checking…" state
+//   FAIL_RATE=0      share of registrations (0-1) that fail with a 503, to try Retry
+//
+// Already registered: taken@example.com, admin@example.com, +12015550123
+// Registrations are kept in memory until the server stops.
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 4001;
+const DELAY = Number(process.env.DELAY ?? 600);
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+
+const normalize = {
+  email: (value) => value.trim().toLowerCase(),
+  phoneNumber: (value) => `+${value.replace(/\D/g, '')}`
+};
+
+const registered = {
+  email: new Set(['taken@example.com', 'admin@example.com']),
+  phoneNumber: new Set(['+12015550123'])
+};
+
+// Responses by Idempotency-Key, so a retried registration isn't created twice
+const responses = new Map();
+let nextId = 1;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key'
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+// Same rules as the form; the server can't trust the client
+function validateRegistration(body) {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (typeof body.fullName !== 'string' || body.fullName.trim().length < 3) {
+    add('fullName', 'Name must be at least 3 characters');
+  }
+  if (typeof body.email !== 'string' || !/\S+@\S+\.\S+/.test(body.email)) {
+    add('email', 'Email is invalid');
+  } else if (registered.email.has(normalize.email(body.email))) {
+    add('email', 'This email is already registered');
+  }
+  if (typeof body.phoneNumber !== 'string' || !/^\+\d{8,15}$/.test(body.phoneNumber)) {
+    add('phoneNumber', 'Phone number must be in E.164 format');
+  } else if (registered.phoneNumber.has(normalize.phoneNumber(body.phoneNumber))) {
+    add('phoneNumber', 'This phone number is already registered');
+  }
+  if (typeof body.password !== 'string' || body.password.length < 8) {
+    add('password', 'Password must be at least 8 characters');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(body.dateOfBirth || '')) {
+    add('dateOfBirth', 'Date of birth must be YYYY-MM-DD');
+  }
+  if (body.agreeToTerms !== true) {
+    add('agreeToTerms', 'You must agree to the terms');
+  }
+
+  return errors;
+}
+
+async function register(req) {
+  let body;
+  try {
+    body = await readBody(req);
+  } catch (err) {
+    return [400, { error: 'Body must be valid JSON' }];
+  }
+
+  if (Math.random() < FAIL_RATE) return [503, { error: 'Service unavailable' }];
+
+  const errors = validateRegistration(body);
+  if (errors.length > 0) return [422, { errors }];
+
+  registered.email.add(normalize.email(body.email));
+  registered.phoneNumber.add(normalize.phoneNumber(body.phoneNumber));
+  return [201, { id: nextId++, email: body.email }];
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (req.method === 'GET' && url.pathname === '/availability') {
+    const field = url.searchParams.get('field');
+    const value = url.searchParams.get('value') || '';
+    if (!registered[field]) return send(res, 400, { error: `Unknown field: ${field}` });
+
+    return send(res, 200, { available: !registered[field].has(normalize[field](value)) });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/register') {
+    const key = req.headers['idempotency-key'];
+    if (key && responses.has(key)) return send(res, ...responses.get(key));
+
+    const [status, body] = await register(req);
+    // Only final answers are remembered; a 503 can be retried with the same key
+    if (key && status < 500) responses.set(key, [status, body]);
+    return send(res, status, body);
+  }
+
+  return send(res, 404, { error: 'Not found' });
+}
+
+http
+  .createServer((req, res) => {
+    setTimeout(() => {
+      handle(req, res).catch(err => send(res, 500, { error: err.message }));
+    }, DELAY);
+  })
+  .listen(PORT, () => {
+    console.log(`Registration mock server listening on http://localhost:${PORT}`);
+  });
@@ -0,0 +1,381 @@
+// Password strength estimator
+// Estimates how many guesses an attacker needs, in the spirit of zxcvbn.
+// The password is covered with the cheapest mix of known patterns (common
+// passwords, words, the user's own name or email, keyboard runs, sequences,
+// repeats, dates) and brute-forced characters, and the guesses for each
+// piece are multiplied together. Counting character classes doesn't work:
+// "Password1!" has all four and is one of the first things tried.
+//
+// estimatePasswordStrength(password, userInputs) returns
+//   { score: 0-4, label, guessesLog10, warning, suggestions }
+
+import { COMMON_PASSWORDS, COMMON_WORDS } from './common-passwords';
+
+export const STRENGTH_LABELS = ['Very Weak', 'Weak', 'Fair', 'Strong', 'Very Strong'];
+
+// Anything longer is plenty strong; cutting it off keeps the search quick
+const MAX_LENGTH = 64;
+
+// Guesses per character that matches no pattern. Deliberately low, like
+// zxcvbn: attackers don't really try every symbol at every position.
+const BRUTEFORCE_CARDINALITY = 10;
+
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const KEYBOARD_KEYS = 47;
+
+const LEET = {
+  '4': 'a', '@': 'a', '8': 'b', '3': 'e', '6': 'g', '1': 'i', '!': 'i',
+  '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't'
+};
+
+const rankMap = (words) => new Map(words.map((word, index) => [word, index + 1]));
+
+// Our word list is tiny next to a real attacker's, so words count for more
+// guesses than their rank alone
+const DICTIONARIES = [
+  { type: 'common-password', ranks: rankMap(COMMON_PASSWORDS), scale: 1 },
+  { type: 'word', ranks: rankMap(COMMON_WORDS), scale: 10 }
+];
+
+const reverse = (text) => [...text].reverse().join('');
+
+function binomial(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+}
+
+// How many ways of capitalizing the word an attacker has to try
+function uppercaseVariations(token) {
+  const upper = (token.match(/[A-Z]/g) || []).length;
+  const lower = (token.match(/[a-z]/g) || []).length;
+  if (upper === 0) return 1;
+
+  // First letter only, or all caps, are tried first
+  if (lower === 0 || /^[A-Z][^A-Z]*$/.test(token)) return 2;
+
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) variations += binomial(upper + lower, i);
+  return variations;
+}
+
+function unleet(text) {
+  let subs = 0;
+  const plain = [...text].map(char => {
+    if (!LEET[char]) return char;
+    subs++;
+    return LEET[char];
+  }).join('');
+  return { plain, subs };
+}
+
+function dictionaryMatches(password, userRanks) {
+  const dictionaries = [...DICTIONARIES, { type: 'user-input', ranks: userRanks, scale: 1 }];
+  const lower = password.toLowerCase();
+  const matches = [];
+
+  for (let start = 0; start < password.length; start++) {
+    for (let end = start + 3; end <= password.length; end++) {
+      const token = password.slice(start, end);
+      const raw = lower.slice(start, end);
+      const { plain, subs } = unleet(raw);
+      const candidates = subs > 0 ? [[raw, 0], [plain, subs]] : [[raw, 0]];
+
+      candidates.forEach(([word, l33tSubs]) => {
+        [false, true].forEach(reversed => {
+          const lookup = reversed ? reverse(word) : word;
+          dictionaries.forEach(({ type, ranks, scale }) => {
+            const rank = ranks.get(lookup);
+            if (!rank) return;
+            matches.push({
+              type,
+              start,
+              end,
+              token,
+              l33t: l33tSubs > 0,
+              reversed,
+              guesses: rank * scale * uppercaseVariations(token) * 2 ** l33tSubs * (reversed ? 2 : 1)
+            });
+          });
+        });
+      });
+    }
+  }
+
+  return matches;
+}
+
+function keyboardMatches(password) {
+  const lower = password.toLowerCase();
+  const lines = KEYBOARD_ROWS.flatMap(row => [row, reverse(row)]);
+  const matches = [];
+
+  lines.forEach(line => {
+    let start = 0;
+    while (start < lower.length) {
+      let end = start + 1;
+      while (end < lower.length && line.includes(lower.slice(start, end + 1))) end++;
+
+      if (end - start >= 4 && line.includes(lower.slice(start, end))) {
+        matches.push({
+          type: 'keyboard',
+          start,
+          end,
+          token: password.slice(start, end),
+          guesses: KEYBOARD_KEYS * (end - start) * uppercaseVariations(password.slice(start, end))
+        });
+        start = end;
+      } else {
+        start++;
+      }
+    }
+  });
+
+  return matches;
+}
+
+const charClass = (char) =>
+  /[a-z]/.test(char) ? 'lower' : /[A-Z]/.test(char) ? 'upper' : /\d/.test(char) ? 'digit' : 'other';
+
+// Runs like abc, 6543 or XYZ
+function sequenceMatches(password) {
+  const matches = [];
+  const step = (i) => password.charCodeAt(i + 1) - password.charCodeAt(i);
+  const sameClass = (i) => charClass(password[i]) === charClass(password[i + 1]);
+
+  let start = 0;
+  while (start < password.length - 2) {
+    const delta = step(start);
+    if (Math.abs(delta) !== 1 || !sameClass(start)) {
+      start++;
+      continue;
+    }
+
+    let end = start + 1;
+    while (end < password.length - 1 && step(end) === delta && sameClass(end)) end++;
+    end++;
+
+    if (end - start >= 3) {
+      const token = password.slice(start, end);
+      // Starting from a, z, 0 or 9 is the obvious choice
+      const startGuesses = /^[az09]/i.test(token) ? 4 : /\d/.test(token[0]) ? 10 : 26;
+      matches.push({
+        type: 'sequence',
+        start,
+        end,
+        token,
+        guesses: startGuesses * token.length * (delta < 0 ? 2 : 1)
+      });
+      start = end;
+    } else {
+      start++;
+    }
+  }
+
+  return matches;
+}
+
+// aaa, abcabc, passwordpassword: guesses for the repeated unit times the count
+function repeatMatches(password, userRanks) {
+  const matches = [];
+  const regex = /(.+?)\1+/g;
+  let match;
+
+  while ((match = regex.exec(password))) {
+    if (match[0].length < 3) {
+      regex.lastIndex = match.index + 1;
+      continue;
+    }
+
+    const unit = match[1];
+    const unitGuesses = 10 ** cheapestCover(unit, userRanks).guessesLog10;
+    matches.push({
+      type: 'repeat',
+      start: match.index,
+      end: match.index + match[0].length,
+      token: match[0],
+      guesses: unitGuesses * (match[0].length / unit.length)
+    });
+  }
+
+  return matches;
+}
+
+const isDay = (text) => text.length <= 2 && Number(text) >= 1 && Number(text) <= 31;
+const isMonth = (text) => text.length <= 2 && Number(text) >= 1 && Number(text) <= 12;
+
+function toYear(text) {
+  const n = Number(text);
+  if (text.length === 2) return n > 50 ? 1900 + n : 2000 + n;
+  if (text.length === 4 && n >= 1900 && n <= 2050) return n;
+  return null;
+}
+
+// Ways to split a run of digits into day, month and year parts
+function digitSplits(token) {
+  if (!/^\d{4,8}$/.test(token)) return [];
+
+  const splits = [];
+  for (let a = 1; a <= 4; a++) {
+    for (let b = 1; b <= 2; b++) {
+      const c = token.length - a - b;
+      if (c >= 1 && c <= 4) splits.push([token.slice(0, a), token.slice(a, a + b), token.slice(a + b)]);
+    }
+  }
+  return splits;
+}
+
+// Year of a date like 14/03/1990, 1990-03-14 or 140390, or null
+function dateYear(token) {
+  const separated = token.match(/^(\d{1,4})([\s/._-])(\d{1,2})\2(\d{1,4})$/);
+  const splits = separated ? [[separated[1], separated[3], separated[4]]] : digitSplits(token);
+
+  for (const [a, b, c] of splits) {
+    const yearLast = toYear(c);
+    if (yearLast && ((isDay(a) && isMonth(b)) || (isMonth(a) && isDay(b)))) return yearLast;
+
+    const yearFirst = toYear(a);
+    if (yearFirst && a.length === 4 && isMonth(b) && isDay(c)) return yearFirst;
+  }
+  return null;
+}
+
+function dateMatches(password) {
+  const thisYear = new Date().getFullYear();
+  // Recent years are tried first; older ones are spread over a wider range
+  const yearGuesses = (year) => Math.max(Math.abs(year - thisYear), 20);
+  const matches = [];
+
+  for (const match of password.matchAll(/(?:19|20)\d{2}/g)) {
+    matches.push({
+      type: 'date',
+      start: match.index,
+      end: match.index + 4,
+      token: match[0],
+      guesses: yearGuesses(Number(match[0]))
+    });
+  }
+
+  for (let start = 0; start < password.length; start++) {
+    for (let end = start + 4; end <= Math.min(password.length, start + 10); end++) {
+      const token = password.slice(start, end);
+      const year = dateYear(token);
+      if (year !== null) {
+        matches.push({ type: 'date', start, end, token, guesses: 365 * yearGuesses(year) });
+      }
+    }
+  }
+
+  return matches;
+}
+
+// Lowest total guesses over every way of covering the password with
+// matches and single brute-forced characters
+function cheapestCover(password, userRanks) {
+  const matches = [
+    ...dictionaryMatches(password, userRanks),
+    ...keyboardMatches(password),
+    ...sequenceMatches(password),
+    ...repeatMatches(password, userRanks),
+    ...dateMatches(password)
+  ];
+
+  const best = [0];
+  const via = [null];
+
+  for (let end = 1; end <= password.length; end++) {
+    best[end] = best[end - 1] + Math.log10(BRUTEFORCE_CARDINALITY);
+    via[end] = { type: 'bruteforce', start: end - 1, end, token: password[end - 1] };
+
+    matches.forEach(match => {
+      if (match.end !== end) return;
+      const cost = best[match.start] + Math.log10(Math.max(match.guesses, 1));
+      if (cost < best[end]) {
+        best[end] = cost;
+        via[end] = match;
+      }
+    });
+  }
+
+  const sequence = [];
+  for (let i = password.length; i > 0; i = via[i].start) sequence.unshift(via[i]);
+
+  return { guessesLog10: best[password.length], sequence };
+}
+
+// Same thresholds as zxcvbn: 10^3, 10^6, 10^8 and 10^10 guesses
+function scoreFor(guessesLog10) {
+  if (guessesLog10 < 3) return 0;
+  if (guessesLog10 < 6) return 1;
+  if (guessesLog10 < 8) return 2;
+  if (guessesLog10 < 10) return 3;
+  return 4;
+}
+
+const WARNINGS = {
+  'common-password': 'This is similar to a commonly used password',
+  'word': 'Common words on their own are easy to guess',
+  'user-input': 'Passwords containing your name or email are easy to guess',
+  'keyboard': 'Keyboard patterns like "qwerty" are easy to guess',
+  'sequence': 'Sequences like "abc" or "6543" are easy to guess',
+  'repeat': 'Repeats like "aaa" or "abcabc" are easy to guess',
+  'date': 'Dates and years are easy to guess'
+};
+
+const SUGGESTIONS = {
+  'common-password': 'Avoid common passwords',
+  'word': 'Add another word or two. Uncommon words are better',
+  'user-input': "Don't use your name or email address",
+  'keyboard': 'Avoid keyboard patterns',
+  'sequence': 'Avoid sequences',
+  'repeat': 'Avoid repeated words and characters',
+  'date': 'Avoid years and dates that are associated with you'
+};
+
+function feedbackFor(score, sequence) {
+  if (score >= 3) return { warning: '', suggestions: [] };
+
+  // The longest pattern is the biggest problem
+  const patterns = sequence
+    .filter(match => match.type !== 'bruteforce')
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start));
+
+  const suggestions = new Set(patterns.map(match => SUGGESTIONS[match.type]));
+
+  patterns.forEach(match => {
+    if (match.l33t) suggestions.add("Predictable substitutions like '@' for 'a' don't help much");
+    if (match.reversed) suggestions.add("Reversed words aren't much harder to guess");
+    if (/^[A-Z][^A-Z]+$/.test(match.token)) {
+      suggestions.add("Capitalizing the first letter doesn't help much");
+    }
+  });
+
+  suggestions.add('Add another word or two. Uncommon words are better');
+
+  return {
+    warning: patterns.length > 0 ? WARNINGS[patterns[0].type] : '',
+    suggestions: [...suggestions]
+  };
+}
+
+// Name and email parts the user is likely to reuse, e.g. "Ann Lee",
+// "ann.lee@mail.com" -> ann, lee, mail, com
+function userInputRanks(userInputs) {
+  const words = userInputs
+    .filter(Boolean)
+    .flatMap(input => String(input).toLowerCase().split(/[^a-z0-9]+/))
+    .filter(word => word.length >= 3);
+  return rankMap([...new Set(words)]);
+}
+
+export function estimatePasswordStrength(password, userInputs = []) {
+  if (!password) {
+    return { score: 0, label: STRENGTH_LABELS[0], guessesLog10: 0, warning: '', suggestions: [] };
+  }
+
+  const text = password.slice(0, MAX_LENGTH);
+  const { guessesLog10, sequence } = cheapestCover(text, userInputRanks(userInputs));
+  const score = scoreFor(guessesLog10);
+
+  return { score, label: STRENGTH_LABELS[score], guessesLog10, ...feedbackFor(score, sequence) };
+}
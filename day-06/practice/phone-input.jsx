@@ -0,0 +1,86 @@
+// Phone number input with a country selector, for schema fields with
+// `component: PhoneInput`. Formats as the user types and puts the caret
+// back after the same digit, so adding or removing separators around it
+// doesn't make it jump to the end.
+
+import { useLayoutEffect, useRef } from 'react';
+import { Select, TextInput, tokens } from '../../shared/ui';
+import {
+  COUNTRIES,
+  caretAfterDigits,
+  digitsOf,
+  findCountry,
+  formatNational,
+  parsePhoneInput
+} from './phone-numbers';
+
+function PhoneInput({ id, name, value, onChange, onBlur, invalid, required, describedBy }) {
+  const inputRef = useRef(null);
+  const caretDigits = useRef(null); // digits before the caret after the last edit
+  const country = findCountry(value.country);
+
+  // Runs after every render: the formatted value can be unchanged (e.g. a
+  // letter was typed and dropped) and React still resets the caret
+  useLayoutEffect(() => {
+    const input = inputRef.current;
+    if (caretDigits.current === null || document.activeElement !== input) return;
+
+    const position = caretAfterDigits(input.value, caretDigits.current);
+    input.setSelectionRange(position, position);
+    caretDigits.current = null;
+  });
+
+  const handleNumberChange = (e) => {
+    let typed = e.target.value;
+    let digitsBefore = digitsOf(typed.slice(0, e.target.selectionStart)).length;
+
+    // Deleting only a separator would be undone by formatting,
+    // so delete the digit next to it instead
+    if (typed.length < value.national.length && digitsOf(typed) === digitsOf(value.national)) {
+      const digits = digitsOf(typed);
+      const index = e.nativeEvent.inputType === 'deleteContentForward' ? digitsBefore : digitsBefore - 1;
+      if (index >= 0 && index < digits.length) {
+        typed = digits.slice(0, index) + digits.slice(index + 1);
+        digitsBefore = index;
+      }
+    }
+
+    const parsed = parsePhoneInput(typed, value.country);
+    caretDigits.current = Math.max(0, digitsBefore - parsed.removed);
+    onChange({ country: parsed.country, national: formatNational(parsed.digits, parsed.country) });
+  };
+
+  const handleCountryChange = (e) => {
+    const parsed = parsePhoneInput(digitsOf(value.national), e.target.value);
+    onChange({ country: parsed.country, national: formatNational(parsed.digits, parsed.country) });
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: tokens.space.sm }}>
+      <Select aria-label="Country" value={country.code} onChange={handleCountryChange}>
+        {COUNTRIES.map(c => (
+          <option key={c.code} value={c.code}>
+            {c.name} (+{c.dialCode})
+          </option>
+        ))}
+      </Select>
+      <TextInput
+        ref={inputRef}
+        id={id}
+        name={name}
+        type="tel"
+        inputMode="tel"
+        autoComplete="tel-national"
+        value={value.national}
+        onChange={handleNumberChange}
+        onBlur={onBlur}
+        invalid={invalid}
+        required={required}
+        describedBy={describedBy}
+        placeholder={formatNational(country.example, country.code)}
+      />
+    </div>
+  );
+}
+
+export default PhoneInput;
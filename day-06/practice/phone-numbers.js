@@ -0,0 +1,119 @@
+// International phone numbers
+// A phone value is `{ country, national }`: an ISO country code plus the
+// national number as the user sees it, formatted as they type. The dial
+// code is shown next to the input, so `national` never includes it or the
+// trunk prefix (the leading 0 many countries use for domestic calls).
+//
+// `template` marks digit slots with X. `lengths` are the valid numbers of
+// national digits, and `pattern` checks the leading digits (area codes,
+// mobile prefixes). `example` is shown as the placeholder.
+
+export const COUNTRIES = [
+  { code: 'US', name: 'United States', dialCode: '1', template: '(XXX) XXX-XXXX', lengths: [10], pattern: /^[2-9]\d{2}[2-9]/, example: '2015550123' },
+  { code: 'CA', name: 'Canada', dialCode: '1', template: '(XXX) XXX-XXXX', lengths: [10], pattern: /^[2-9]\d{2}[2-9]/, example: '6135550123' },
+  { code: 'GB', name: 'United Kingdom', dialCode: '44', trunkPrefix: '0', template: 'XXXX XXXXXX', lengths: [10], pattern: /^[1-37-9]/, example: '7400123456' },
+  { code: 'DE', name: 'Germany', dialCode: '49', trunkPrefix: '0', template: 'XXX XXXXXXXX', lengths: [10, 11], pattern: /^[1-9]/, example: '15123456789' },
+  { code: 'FR', name: 'France', dialCode: '33', trunkPrefix: '0', template: 'X XX XX XX XX', lengths: [9], pattern: /^[1-9]/, example: '612345678' },
+  { code: 'IN', name: 'India', dialCode: '91', trunkPrefix: '0', template: 'XXXXX XXXXX', lengths: [10], pattern: /^[6-9]/, example: '9876543210' },
+  { code: 'AU', name: 'Australia', dialCode: '61', trunkPrefix: '0', template: 'XXX XXX XXX', lengths: [9], pattern: /^[2-478]/, example: '412345678' },
+  { code: 'JP', name: 'Japan', dialCode: '81', trunkPrefix: '0', template: 'XX XXXX XXXX', lengths: [10], pattern: /^[1-9]/, example: '9012345678' },
+  { code: 'BR', name: 'Brazil', dialCode: '55', trunkPrefix: '0', template: '(XX) XXXXX-XXXX', lengths: [10, 11], pattern: /^[1-9]{2}/, example: '11912345678' }
+];
+
+export const findCountry = (code) =>
+  COUNTRIES.find(country => country.code === code) || COUNTRIES[0];
+
+const maxDigits = (country) => Math.max(...country.lengths);
+
+export const digitsOf = (value) => value.replace(/\D/g, '');
+
+// Best guess from the browser language, e.g. en-GB -> GB
+export function defaultCountry() {
+  const language = typeof navigator !== 'undefined' ? navigator.language || '' : '';
+  const region = language.split('-')[1];
+  return region && COUNTRIES.some(c => c.code === region.toUpperCase())
+    ? region.toUpperCase()
+    : 'US';
+}
+
+// Fill the template with as many digits as there are. Separators after
+// the last digit are left out so Backspace doesn't get stuck on them.
+export function formatNational(digits, countryCode) {
+  const { template } = findCountry(countryCode);
+  let result = '';
+  let next = 0;
+
+  for (const char of template) {
+    if (next >= digits.length) break;
+    if (char === 'X') {
+      result += digits[next];
+      next++;
+    } else {
+      result += char;
+    }
+  }
+
+  return result + digits.slice(next);
+}
+
+// Read what the user typed or pasted. A leading + switches country by dial
+// code, and a trunk prefix is dropped. `removed` counts the leading digits
+// that were dropped, so the caret can be moved back by the same amount.
+export function parsePhoneInput(input, countryCode) {
+  let country = findCountry(countryCode);
+  let digits = digitsOf(input);
+  let removed = 0;
+
+  if (input.trim().startsWith('+')) {
+    const match = COUNTRIES
+      .filter(c => digits.startsWith(c.dialCode))
+      .sort((a, b) => b.dialCode.length - a.dialCode.length)[0];
+    if (match) {
+      // Keep the selected country when it shares the dial code (US/CA)
+      if (match.dialCode !== country.dialCode) country = match;
+      digits = digits.slice(match.dialCode.length);
+      removed += match.dialCode.length;
+    }
+  }
+
+  if (country.trunkPrefix && digits.startsWith(country.trunkPrefix)) {
+    digits = digits.slice(country.trunkPrefix.length);
+    removed += country.trunkPrefix.length;
+  }
+
+  return { country: country.code, digits: digits.slice(0, maxDigits(country)), removed };
+}
+
+// Index in `formatted` just after the nth digit
+export function caretAfterDigits(formatted, count) {
+  if (count <= 0) {
+    const first = formatted.search(/\d/);
+    return first === -1 ? formatted.length : first;
+  }
+
+  let seen = 0;
+  for (let i = 0; i < formatted.length; i++) {
+    if (/\d/.test(formatted[i])) seen++;
+    if (seen === count) return i + 1;
+  }
+  return formatted.length;
+}
+
+// Returns an error message, or '' for a valid number
+export function validatePhone({ country: countryCode, national }) {
+  const country = findCountry(countryCode);
+  const digits = digitsOf(national);
+
+  if (!country.lengths.includes(digits.length)) {
+    return `${country.name} numbers have ${country.lengths.join(' or ')} digits`;
+  }
+  if (!country.pattern.test(digits)) {
+    return `Enter a valid ${country.name} phone number`;
+  }
+  return '';
+}
+
+// E.164: + dial code + national digits, e.g. +14155550123
+export function toE164({ country, national }) {
+  return `+${findCountry(country).dialCode}${digitsOf(national)}`;
+}
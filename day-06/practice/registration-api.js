@@ -0,0 +1,21 @@
+// Client for the registration server (see mock-server.mjs)
+//
+//   GET /availability?field=email|phoneNumber&value=...  -> { available }
+//
+// Phone numbers are sent in E.164 form, e.g. +12015550123
+
+export function createRegistrationApi(baseUrl) {
+  const checkAvailability = async (field, value, signal) => {
+    const params = new URLSearchParams({ field, value });
+    const response = await fetch(`${baseUrl}/availability?${params}`, { signal });
+
+    if (!response.ok) {
+      throw new Error(`Availability check failed with status ${response.status}`);
+    }
+
+    const { available } = await response.json();
+    return available;
+  };
+
+  return { checkAvailability };
+}
@@ -1,445 +1,228 @@
-import { useState } from 'react';
+import { useMemo } from 'react';
+import { SchemaForm, minLength, pattern } from './schema-form';
+import { SchemaWizard } from './schema-wizard';
+import { createRegistrationApi } from './registration-api';
+import { createFetchAdapter, createLocalAdapter } from './submit-adapter';
+import PhoneInput from './phone-input';
+import { defaultCountry, toE164, validatePhone } from './phone-numbers';
+import { STRENGTH_LABELS, estimatePasswordStrength } from './password-strength';
+import { addYears, ageOn, compareDates, formatDate, latestBirthDateFor, parseDate, today } from './dates';
+import { tokens } from '../../shared/ui';
 
-function RegistrationForm() {
-  const [formData, setFormData] = useState({
-    fullName: '',
-    email: '',
-    password: '',
-    confirmPassword: '',
-    phoneNumber: '',
-    dateOfBirth: '',
-    agreeToTerms: false
-  });
-  
-  const [errors, setErrors] = useState({});
-  const [touched, setTouched] = useState({});
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  
-  const formatPhoneNumber = (value) => {
-    const cleaned = value.replace(/\D/g, '');
-    if (cleaned.length >= 10) {
-      const match = cleaned.match(/^(\d{3})(\d{3})(\d{4})$/);
-      if (match) return `(${match[1]}) ${match[2]}-${match[3]}`;
-    } else if (cleaned.length >= 6) {
-      const match = cleaned.match(/^(\d{3})(\d{3})(\d+)/);
-      if (match) return `(${match[1]}) ${match[2]}-${match[2]}`;
-    } else if (cleaned.length >= 3) {
-      const match = cleaned.match(/^(\d{3})(\d+)/);
-      if (match) return `(${match[1]}) ${match[2]}`;
-    } else if (cleaned.length > 0) {
-      const match = cleaned.match(/^(\d+)/);
-      if (match) return `(${match[1]}`;
-    }
-    return value;
-  };
-  
-  const validate = (field, value) => {
-    let error = '';
-    
-    switch (field) {
-      case 'fullName':
-        if (!value.trim()) error = 'Full name is required';
-        else if (value.trim().length < 3) error = 'Name must be at least 3 characters';
-        break;
-      
-      case 'email':
-        if (!value) error = 'Email is required';
-        else if (!/\S+@\S+\.\S+/.test(value)) error = 'Email is invalid';
-        break;
-      
-      case 'password':
-        if (!value) error = 'Password is required';
-        else if (value.length < 8) error = 'Password must be at least 8 characters';
-        else if (!/[A-Z]/.test(value)) error = 'Password must contain uppercase letter';
-        else if (!/[a-z]/.test(value)) error = 'Password must contain lowercase letter';
-        else if (!/[0-9]/.test(value)) error = 'Password must contain a number';
-        else if (!/[^A-Za-z0-9]/.test(value)) error = 'Password must contain special character';
-        break;
-      
-      case 'confirmPassword':
-        if (!value) error = 'Please confirm your password';
-        else if (value !== formData.password) error = 'Passwords do not match';
-        break;
-      
-      case 'phoneNumber':
-        if (!value) error = 'Phone number is required';
-        else {
-          const cleaned = value.replace(/\D/g, '');
-          if (cleaned.length !== 10) error = 'Phone number must be 10 digits';
-        }
-        break;
-      
-      case 'dateOfBirth':
-        if (!value) error = 'Date of birth is required';
-        else {
-          const today = new Date();
-          const birthDate = new Date(value);
-          const age = today.getFullYear() - birthDate.getFullYear();
-          if (age < 18) error = 'You must be 18 or older';
-        }
-        break;
-      
-      case 'agreeToTerms':
-        if (!value) error = 'You must agree to the terms';
-        break;
-      
-      default:
-        break;
-    }
-    
-    return error;
-  };
-  
-  const handleChange = (e) => {
-    const { name, value, type, checked } = e.target;
-    
-    let newValue = type === 'checkbox' ? checked : value;
-    
-    if (name === 'phoneNumber' && type !== 'checkbox') {
-      newValue = formatPhoneNumber(value);
-    }
-    
-    setFormData({
-      ...formData,
-      [name]: newValue
-    });
-    
-    if (touched[name]) {
-      const error = validate(name, newValue);
-      setErrors({
-        ...errors,
-        [name]: error
-      });
-    }
-  };
-  
-  const handleBlur = (e) => {
-    const { name } = e.target;
-    setTouched({ ...touched, [name]: true });
-    
-    const error = validate(name, formData[name]);
-    setErrors({
-      ...errors,
-      [name]: error
-    });
-  };
-  
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    // Mark all fields as touched
-    const allTouched = Object.keys(formData).reduce((acc, key) => {
-      acc[key] = true;
-      return acc;
-    }, {});
-    setTouched(allTouched);
-    
-    // Validate all fields
-    const newErrors = {};
-    Object.keys(formData).forEach(key => {
-      const error = validate(key, formData[key]);
-      if (error) newErrors[key] = error;
-    });
-    setErrors(newErrors);
-    
-    // If there are errors, don't submit
-    if (Object.keys(newErrors).length > 0) {
-      return;
+const { color, space, fontSize } = tokens;
+
+const MAX_AGE = 120;
+
+const validateBirthDate = (minAge) => (value) => {
+  const birthDate = parseDate(value);
+  if (!birthDate) return 'Enter a valid date';
+
+  const now = today();
+  if (compareDates(birthDate, now) > 0) return "Date of birth can't be in the future";
+  if (compareDates(birthDate, addYears(now, -MAX_AGE)) < 0) return 'Enter a real date of birth';
+  if (ageOn(birthDate, now) < minAge) return `You must be ${minAge} or older`;
+  return '';
+};
+
+const STRENGTH_COLORS = [color.error, color.error, 'orange', 'yellowgreen', color.success];
+
+// Name and email are passed in so reusing them lowers the score
+const userInputsOf = (values) => [values.fullName, values.email];
+
+function PasswordStrength({ password, userInputs }) {
+  if (!password) return null;
+
+  const { score, label, warning, suggestions } = estimatePasswordStrength(password, userInputs);
+
+  return (
+    <div style={{ marginTop: space.xs }}>
+      <div style={{
+        height: '5px',
+        background: color.border,
+        borderRadius: '3px',
+        position: 'relative'
+      }}>
+        <div style={{
+          width: `${((score + 1) / 5) * 100}%`,
+          height: '100%',
+          background: STRENGTH_COLORS[score],
+          borderRadius: '3px',
+          transition: 'all 0.3s'
+        }} />
+      </div>
+      <span style={{ fontSize: fontSize.xs, color: color.muted }}>
+        Password strength: {label}
+      </span>
+      {warning && (
+        <p style={{ fontSize: fontSize.xs, color: color.muted, margin: '4px 0 0' }}>{warning}</p>
+      )}
+      {suggestions.length > 0 && (
+        <ul style={{ fontSize: fontSize.xs, color: color.muted, margin: '4px 0', paddingLeft: space.xl }}>
+          {suggestions.map(suggestion => (
+            <li key={suggestion}>{suggestion}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Async validator: rejects values that are already registered. Without an
+// API there is nothing to ask, so the field gets no async check.
+const available = (api, field, message, serialize = (value) => value) =>
+  api
+    ? async (value, values, { signal }) =>
+      (await api.checkAvailability(field, serialize(value), signal)) ? '' : message
+    : undefined;
+
+const createRegistrationSchema = (api, { minPasswordScore, minAge }) => ({
+  fields: [
+    {
+      name: 'fullName',
+      label: 'Full Name',
+      placeholder: 'Enter your full name',
+      required: 'Full name is required',
+      validate: [minLength(3, 'Name must be at least 3 characters')]
+    },
+    {
+      name: 'email',
+      label: 'Email',
+      type: 'email',
+      placeholder: 'Enter your email',
+      required: 'Email is required',
+      validate: [pattern(/\S+@\S+\.\S+/, 'Email is invalid')],
+      asyncValidate: available(api, 'email', 'This email is already registered')
+    },
+    {
+      name: 'phoneNumber',
+      label: 'Phone Number',
+      component: PhoneInput,
+      initialValue: { country: defaultCountry(), national: '' },
+      isEmpty: (value) => !value.national,
+      required: 'Phone number is required',
+      validate: [validatePhone],
+      asyncValidate: available(api, 'phoneNumber', 'This phone number is already registered', toE164)
+    },
+    {
+      name: 'password',
+      label: 'Password',
+      type: 'password',
+      sensitive: true,
+      placeholder: 'Enter password',
+      required: 'Password is required',
+      validate: [
+        (value) => (value.length < 8 ? 'Password must be at least 8 characters' : '')
+      ],
+      renderExtra: (value, values) => (
+        <PasswordStrength password={value} userInputs={userInputsOf(values)} />
+      )
+    },
+    {
+      name: 'confirmPassword',
+      label: 'Confirm Password',
+      type: 'password',
+      sensitive: true,
+      placeholder: 'Confirm your password',
+      required: 'Please confirm your password'
+    },
+    {
+      name: 'dateOfBirth',
+      label: 'Date of Birth',
+      type: 'date',
+      // Keeps the date picker within range; validation still checks typed dates
+      inputProps: {
+        min: formatDate(addYears(today(), -MAX_AGE)),
+        max: formatDate(latestBirthDateFor(minAge, today()))
+      },
+      required: 'Date of birth is required',
+      validate: [validateBirthDate(minAge)]
+    },
+    {
+      name: 'agreeToTerms',
+      label: 'I agree to the terms and conditions',
+      type: 'checkbox',
+      required: 'You must agree to the terms'
     }
-    
-    setIsSubmitting(true);
-    
-    try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      alert('Registration successful!');
-      console.log('Form data:', formData);
-      
-      // Reset form
-      setFormData({
-        fullName: '',
-        email: '',
-        password: '',
-        confirmPassword: '',
-        phoneNumber: '',
-        dateOfBirth: '',
-        agreeToTerms: false
-      });
-      setTouched({});
-      setErrors({});
-    } catch (error) {
-      console.error('Submission error:', error);
-      alert('Registration failed. Please try again.');
-    } finally {
-      setIsSubmitting(false);
+  ],
+  rules: [
+    {
+      field: 'password',
+      dependsOn: ['fullName', 'email'],
+      validate: (values) =>
+        estimatePasswordStrength(values.password, userInputsOf(values)).score < minPasswordScore
+          ? `Password is too weak. Choose one rated "${STRENGTH_LABELS[minPasswordScore]}" or better`
+          : ''
+    },
+    {
+      field: 'confirmPassword',
+      dependsOn: ['password'],
+      validate: (values) => (values.confirmPassword !== values.password ? 'Passwords do not match' : '')
     }
+  ],
+  // Used in wizard mode
+  steps: [
+    { id: 'account', title: 'Account', fields: ['email', 'password', 'confirmPassword'] },
+    { id: 'personal', title: 'Personal', fields: ['fullName', 'phoneNumber', 'dateOfBirth'] },
+    { id: 'terms', title: 'Terms', fields: ['agreeToTerms'] }
+  ]
+});
+
+// What the server gets: the phone number in E.164, without the fields
+// that only exist for the form
+const toPayload = ({ fullName, email, phoneNumber, password, dateOfBirth, agreeToTerms }) => ({
+  fullName: fullName.trim(),
+  email: email.trim(),
+  phoneNumber: toE164(phoneNumber),
+  password,
+  dateOfBirth,
+  agreeToTerms
+});
+
+// Pass `wizard` to split the form into steps (better on small screens).
+// `minPasswordScore` is 0-4, see STRENGTH_LABELS. With `apiUrl` (e.g. the
+// bundled mock-server.mjs on http://localhost:4001) email and phone are
+// checked for availability and the form POSTs to `${apiUrl}/register`;
+// without it everything stays local. `submitAdapter` can be any
+// { submit(payload) } (see submit-adapter.js) and wins over both.
+function RegistrationForm({
+  apiUrl = null,
+  submitAdapter,
+  onRegistered,
+  wizard = false,
+  minPasswordScore = 3,
+  minAge = 18
+}) {
+  const registrationSchema = useMemo(
+    () => createRegistrationSchema(apiUrl ? createRegistrationApi(apiUrl) : null, { minPasswordScore, minAge }),
+    [apiUrl, minPasswordScore, minAge]
+  );
+
+  const adapter = useMemo(
+    () => submitAdapter || (apiUrl ? createFetchAdapter(`${apiUrl}/register`) : createLocalAdapter()),
+    [submitAdapter, apiUrl]
+  );
+
+  const formProps = {
+    schema: registrationSchema,
+    adapter,
+    toPayload,
+    onSuccess: onRegistered,
+    submitLabel: 'Create Account',
+    submittingLabel: 'Creating Account...',
+    successMessage: 'Registration successful!',
+    errorMessage: 'Registration failed.',
+    inspectorName: 'RegistrationForm'
   };
-  
-  const passwordStrength = () => {
-    const { password } = formData;
-    if (!password) return { score: 0, label: '' };
-    
-    let score = 0;
-    if (password.length >= 8) score++;
-    if (/[A-Z]/.test(password)) score++;
-    if (/[a-z]/.test(password)) score++;
-    if (/[0-9]/.test(password)) score++;
-    if (/[^A-Za-z0-9]/.test(password)) score++;
-    
-    const labels = ['', 'Weak', 'Fair', 'Good', 'Strong', 'Very Strong'];
-    
-    return { score, label: labels[score] };
-  };
-  
-  const { score, label } = passwordStrength();
-  
+
   return (
-    <div style={{ maxWidth: '500px', margin: '0 auto', padding: '20px' }}>
+    <div style={{ maxWidth: '500px', margin: '0 auto', padding: space.xl }}>
       <h2>Create Account</h2>
-      
-      <form onSubmit={handleSubmit}>
-        {/* Full Name */}
-        <div style={{ marginBottom: '15px' }}>
-          <label htmlFor="fullName" style={{ display: 'block', marginBottom: '5px' }}>
-            Full Name *
-          </label>
-          <input
-            id="fullName"
-            name="fullName"
-            type="text"
-            value={formData.fullName}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            placeholder="Enter your full name"
-            style={{
-              width: '100%',
-              padding: '8px',
-              border: touched.fullName && errors.fullName
-                ? '2px solid red'
-                : '1px solid #ccc',
-              borderRadius: '4px'
-            }}
-          />
-          {touched.fullName && errors.fullName && (
-            <span style={{ color: 'red', fontSize: '14px' }}>
-              {errors.fullName}
-            </span>
-          )}
-        </div>
-        
-        {/* Email */}
-        <div style={{ marginBottom: '15px' }}>
-          <label htmlFor="email" style={{ display: 'block', marginBottom: '5px' }}>
-            Email *
-          </label>
-          <input
-            id="email"
-            name="email"
-            type="email"
-            value={formData.email}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            placeholder="Enter your email"
-            style={{
-              width: '100%',
-              padding: '8px',
-              border: touched.email && errors.email
-                ? '2px solid red'
-                : '1px solid #ccc',
-              borderRadius: '4px'
-            }}
-          />
-          {touched.email && errors.email && (
-            <span style={{ color: 'red', fontSize: '14px' }}>
-              {errors.email}
-            </span>
-          )}
-        </div>
-        
-        {/* Phone Number */}
-        <div style={{ marginBottom: '15px' }}>
-          <label htmlFor="phoneNumber" style={{ display: 'block', marginBottom: '5px' }}>
-            Phone Number *
-          </label>
-          <input
-            id="phoneNumber"
-            name="phoneNumber"
-            type="tel"
-            value={formData.phoneNumber}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            placeholder="(555) 123-4567"
-            maxLength={14}
-            style={{
-              width: '100%',
-              padding: '8px',
-              border: touched.phoneNumber && errors.phoneNumber
-                ? '2px solid red'
-                : '1px solid #ccc',
-              borderRadius: '4px'
-            }}
-          />
-          {touched.phoneNumber && errors.phoneNumber && (
-            <span style={{ color: 'red', fontSize: '14px' }}>
-              {errors.phoneNumber}
-            </span>
-          )}
-        </div>
-        
-        {/* Password */}
-        <div style={{ marginBottom: '15px' }}>
-          <label htmlFor="password" style={{ display: 'block', marginBottom: '5px' }}>
-            Password *
-          </label>
-          <input
-            id="password"
-            name="password"
-            type="password"
-            value={formData.password}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            placeholder="Enter password"
-            style={{
-              width: '100%',
-              padding: '8px',
-              border: touched.password && errors.password
-                ? '2px solid red'
-                : '1px solid #ccc',
-              borderRadius: '4px'
-            }}
-          />
-          {formData.password && (
-            <div style={{ marginTop: '5px' }}>
-              <div style={{
-                height: '5px',
-                background: '#ddd',
-                borderRadius: '3px',
-                position: 'relative'
-              }}>
-                <div style={{
-                  width: `${(score / 5) * 100}%`,
-                  height: '100%',
-                  background: score <= 2 ? 'red' : score <= 3 ? 'orange' : score <= 4 ? 'yellow' : 'green',
-                  borderRadius: '3px',
-                  transition: 'all 0.3s'
-                }} />
-              </div>
-              {label && (
-                <span style={{ fontSize: '12px', color: '#666' }}>
-                  Password strength: {label}
-                </span>
-              )}
-            </div>
-          )}
-          {touched.password && errors.password && (
-            <span style={{ color: 'red', fontSize: '14px' }}>
-              {errors.password}
-            </span>
-          )}
-        </div>
-        
-        {/* Confirm Password */}
-        <div style={{ marginBottom: '15px' }}>
-          <label htmlFor="confirmPassword" style={{ display: 'block', marginBottom: '5px' }}>
-            Confirm Password *
-          </label>
-          <input
-            id="confirmPassword"
-            name="confirmPassword"
-            type="password"
-            value={formData.confirmPassword}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            placeholder="Confirm your password"
-            style={{
-              width: '100%',
-              padding: '8px',
-              border: touched.confirmPassword && errors.confirmPassword
-                ? '2px solid red'
-                : '1px solid #ccc',
-              borderRadius: '4px'
-            }}
-          />
-          {touched.confirmPassword && errors.confirmPassword && (
-            <span style={{ color: 'red', fontSize: '14px' }}>
-              {errors.confirmPassword}
-            </span>
-          )}
-        </div>
-        
-        {/* Date of Birth */}
-        <div style={{ marginBottom: '15px' }}>
-          <label htmlFor="dateOfBirth" style={{ display: 'block', marginBottom: '5px' }}>
-            Date of Birth *
-          </label>
-          <input
-            id="dateOfBirth"
-            name="dateOfBirth"
-            type="date"
-            value={formData.dateOfBirth}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            style={{
-              width: '100%',
-              padding: '8px',
-              border: touched.dateOfBirth && errors.dateOfBirth
-                ? '2px solid red'
-                : '1px solid #ccc',
-              borderRadius: '4px'
-            }}
-          />
-          {touched.dateOfBirth && errors.dateOfBirth && (
-            <span style={{ color: 'red', fontSize: '14px' }}>
-              {errors.dateOfBirth}
-            </span>
-          )}
-        </div>
-        
-        {/* Terms Checkbox */}
-        <div style={{ marginBottom: '20px' }}>
-          <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
-            <input
-              name="agreeToTerms"
-              type="checkbox"
-              checked={formData.agreeToTerms}
-              onChange={handleChange}
-              onBlur={handleBlur}
-              style={{ marginRight: '8px' }}
-            />
-            <span>
-              I agree to the terms and conditions *
-            </span>
-          </label>
-          {touched.agreeToTerms && errors.agreeToTerms && (
-            <span style={{ color: 'red', fontSize: '14px', display: 'block', marginTop: '5px' }}>
-              {errors.agreeToTerms}
-            </span>
-          )}
-        </div>
-        
-        {/* Submit Button */}
-        <button
-          type="submit"
-          disabled={isSubmitting}
-          style={{
-            width: '100%',
-            padding: '12px',
-            background: isSubmitting ? '#ccc' : '#007bff',
-            color: 'white',
-            border: 'none',
-            borderRadius: '4px',
-            fontSize: '16px',
-            fontWeight: 'bold',
-            cursor: isSubmitting ? 'not-allowed' : 'pointer'
-          }}
-        >
-          {isSubmitting ? 'Creating Account...' : 'Create Account'}
-        </button>
-      </form>
+
+      {wizard
+        ? <SchemaWizard draftKey="registration-draft" {...formProps} />
+        : <SchemaForm {...formProps} />}
     </div>
   );
 }
 
 export default RegistrationForm;
-
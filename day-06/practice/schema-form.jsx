@@ -0,0 +1,584 @@
+// Schema-driven forms
+// Describe the fields once and get the rendered form plus values, errors
+// and touched state. A schema looks like:
+//
+//   {
+//     fields: [
+//       { name: 'email', label: 'Email', type: 'email', required: 'Email is required',
+//         validate: [pattern(/\S+@\S+\.\S+/, 'Email is invalid')] }
+//     ],
+//     rules: [
+//       { field: 'confirmPassword', dependsOn: ['password'], validate: (values) => '...' }
+//     ]
+//   }
+//
+// Validators take (value, values) and return an error message, or '' when
+// the value is fine. Rules are cross-field checks: their error shows on
+// `field`, and they run again whenever a `dependsOn` field changes.
+//
+// A field can also have `asyncValidate: (value, values, { signal }) => Promise<error>`
+// for checks that need the server. It only runs once the sync checks pass,
+// debounced by `asyncDebounce` ms while typing and straight away on blur.
+// A newer check aborts the older one through `signal`.
+//
+// Fields whose value isn't a plain string or boolean can bring their own
+// input with `component` (it gets value, onChange(value), onBlur, invalid
+// and describedBy) and say when they count as empty with `isEmpty(value)`.
+//
+// Every input is linked to its error and hint with aria-describedby. A
+// failed submit moves focus to the first invalid field and shows an error
+// summary; submit progress and results are announced in a live region.
+//
+// Submitting goes through an adapter (see submit-adapter.js). Server-side
+// field errors are shown on their fields; other failures get a banner with
+// a Retry that resends the exact same payload.
+//
+// In development, each form gets a FormInspector panel (see
+// shared/form-inspector.js) labelled with `inspectorName`.
+
+import { useEffect, useRef, useState } from 'react';
+import { SubmitError } from './submit-adapter';
+import { createAsyncChecks } from './async-checks';
+import { FormInspector } from '../../shared/form-inspector';
+import { Button, Checkbox, Field, TextInput, tokens } from '../../shared/ui';
+
+const DEFAULT_ASYNC_DEBOUNCE = 500;
+
+// Validator helpers
+export const minLength = (length, message) => (value) =>
+  value.trim().length < length ? message : '';
+
+export const pattern = (regex, message) => (value) =>
+  regex.test(value) ? '' : message;
+
+export const equalsField = (otherField, message) => (value, values) =>
+  value === values[otherField] ? '' : message;
+
+const isEmpty = (value) =>
+  typeof value === 'string' ? !value.trim() : !value;
+
+export { sameValue } from './async-checks';
+
+export function initialValuesOf(schema) {
+  return schema.fields.reduce((acc, field) => {
+    acc[field.name] = field.initialValue ?? (field.type === 'checkbox' ? false : '');
+    return acc;
+  }, {});
+}
+
+const fieldByName = (schema, name) => schema.fields.find(f => f.name === name);
+
+// Returns the first error for one field, or ''
+export function validateField(schema, name, values) {
+  const field = fieldByName(schema, name);
+  if (!field) return '';
+
+  const value = values[name];
+  if ((field.isEmpty || isEmpty)(value)) return field.required || '';
+
+  for (const validator of field.validate || []) {
+    const error = validator(value, values);
+    if (error) return error;
+  }
+
+  for (const rule of schema.rules || []) {
+    if (rule.field !== name) continue;
+    const error = rule.validate(values);
+    if (error) return error;
+  }
+
+  return '';
+}
+
+// Only fields with an error appear in the result
+export function validateAll(schema, values) {
+  return schema.fields.reduce((acc, field) => {
+    const error = validateField(schema, field.name, values);
+    if (error) acc[field.name] = error;
+    return acc;
+  }, {});
+}
+
+// Fields whose rules depend on `name`
+function dependentsOf(schema, name) {
+  return (schema.rules || [])
+    .filter(rule => (rule.dependsOn || []).includes(name))
+    .map(rule => rule.field);
+}
+
+// options.initialValues overrides the schema's starting values, e.g. from a saved draft
+export function useSchemaForm(schema, options = {}) {
+  const [values, setValues] = useState(() => ({
+    ...initialValuesOf(schema),
+    ...options.initialValues
+  }));
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [validating, setValidating] = useState({});
+  // idle, invalid (last validation found errors), submitting, succeeded or failed
+  const [status, setStatus] = useState('idle');
+  // Counted when validation fails, so the announcement doesn't change on every keystroke
+  const [problemCount, setProblemCount] = useState(0);
+  const [submitError, setSubmitError] = useState(null);
+
+  // Guards against double submits (Enter pressed twice, clicks while validating)
+  const inFlight = useRef(false);
+  // What to resend on Retry after a failed submit
+  const lastSubmission = useRef(null);
+
+  // In-flight async checks, and the last result for each field
+  const [checks] = useState(() => createAsyncChecks({
+    onPending: (name, pending) => setValidating(prev => ({ ...prev, [name]: pending })),
+    onResult: (name, error) => setErrors(prev => ({ ...prev, [name]: error }))
+  }));
+
+  useEffect(() => () => checks.cancelAll(), [checks]);
+
+  const asyncCheckOf = (name, checkValues) => {
+    const field = fieldByName(schema, name);
+    const value = checkValues[name];
+    return { name, value, validate: (signal) => field.asyncValidate(value, checkValues, { signal }) };
+  };
+
+  const runCheck = (name, checkValues, delay) => {
+    const { value, validate } = asyncCheckOf(name, checkValues);
+    return checks.run(name, value, validate, delay);
+  };
+
+  // Start or stop the async check to match a field's sync result
+  const checkAsync = (name, checkValues, syncError, delay) => {
+    const field = fieldByName(schema, name);
+    if (!field || !field.asyncValidate) return;
+
+    if (syncError) {
+      checks.cancel(name);
+      setValidating(prev => ({ ...prev, [name]: false }));
+    } else {
+      runCheck(name, checkValues, delay);
+    }
+  };
+
+  const setFieldValue = (name, value) => {
+    const field = fieldByName(schema, name);
+    const newValue = field && field.format ? field.format(value) : value;
+    const newValues = { ...values, [name]: newValue };
+    setValues(newValues);
+
+    // Re-check the field itself and anything that compares against it
+    const updates = {};
+    [name, ...dependentsOf(schema, name)].forEach(fieldName => {
+      if (touched[fieldName]) updates[fieldName] = validateField(schema, fieldName, newValues);
+    });
+    setErrors(prev => ({ ...prev, ...updates }));
+
+    if (touched[name]) {
+      checkAsync(name, newValues, updates[name], field.asyncDebounce ?? DEFAULT_ASYNC_DEBOUNCE);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFieldValue(name, type === 'checkbox' ? checked : value);
+  };
+
+  const handleBlur = (e) => blurField(e.target.name);
+
+  const blurField = (name) => {
+    const error = validateField(schema, name, values);
+    setTouched(prev => ({ ...prev, [name]: true }));
+    setErrors(prev => ({ ...prev, [name]: error }));
+    checkAsync(name, values, error, 0);
+  };
+
+  const reset = () => {
+    checks.clear();
+    setValidating({});
+    setValues(initialValuesOf(schema));
+    setTouched({});
+    setErrors({});
+    setStatus('idle');
+    setSubmitError(null);
+    lastSubmission.current = null;
+  };
+
+  // Touches and validates the named fields, waiting for their async checks.
+  // Resolves true when they are all valid; otherwise focuses the first
+  // invalid one, unless `focus` is false because the caller will once that
+  // field is on screen, and passes the invalid names to `onInvalid`.
+  const validateFields = async (names, { focus = true, onInvalid } = {}) => {
+    const newErrors = {};
+    names.forEach(name => {
+      newErrors[name] = validateField(schema, name, values);
+    });
+
+    setTouched(prev => names.reduce((acc, name) => ({ ...acc, [name]: true }), prev));
+    setErrors(prev => ({ ...prev, ...newErrors }));
+
+    let invalid = names.filter(name => newErrors[name]);
+
+    if (invalid.length === 0) {
+      // Values that were already checked reuse the result
+      const asyncNames = names.filter(name => fieldByName(schema, name).asyncValidate);
+      invalid = await checks.runAll(asyncNames.map(name => asyncCheckOf(name, values)));
+    }
+
+    if (invalid.length > 0) {
+      setStatus('invalid');
+      setProblemCount(invalid.length);
+      if (focus) focusField(invalid[0]);
+      if (onInvalid) onInvalid(invalid);
+      return false;
+    }
+    return true;
+  };
+
+  // Only one submission runs at a time; extra calls are ignored
+  const exclusive = async (task) => {
+    if (inFlight.current) return;
+    inFlight.current = true;
+    setIsSubmitting(true);
+    try {
+      await task();
+    } finally {
+      inFlight.current = false;
+      setIsSubmitting(false);
+    }
+  };
+
+  // Server errors for fields the form has go on those fields. Returns their names.
+  const showFieldErrors = (error) => {
+    const fieldErrors = (error.fieldErrors || []).filter(e => fieldByName(schema, e.field));
+    if (fieldErrors.length === 0) return [];
+
+    const names = fieldErrors.map(e => e.field);
+    setErrors(prev => fieldErrors.reduce((acc, e) => ({ ...acc, [e.field]: e.message }), prev));
+    setTouched(prev => names.reduce((acc, name) => ({ ...acc, [name]: true }), prev));
+
+    // The server knows best: don't let a cached async check clear the error on blur
+    fieldErrors.forEach(e => checks.remember(e.field, values[e.field], e.message));
+
+    setStatus('invalid');
+    setProblemCount(names.length);
+    focusField(names[0]);
+    return names;
+  };
+
+  const submitPayload = async (payload, handlers) => {
+    const { submit, onSuccess, onError, onInvalid } = handlers;
+    lastSubmission.current = null;
+    setSubmitError(null);
+    setStatus('submitting');
+
+    try {
+      const result = await submit(payload);
+      reset();
+      setStatus('succeeded');
+      if (onSuccess) onSuccess(result, payload);
+    } catch (error) {
+      const invalid = showFieldErrors(error);
+      if (invalid.length > 0) {
+        if (onInvalid) onInvalid(invalid);
+      } else {
+        lastSubmission.current = { payload, handlers };
+        setSubmitError(error);
+        setStatus('failed');
+      }
+
+      if (onError) onError(error);
+      else console.error('Submission error:', error);
+    }
+  };
+
+  // handlers: {
+  //   submit(payload)          usually adapter.submit, returns a promise
+  //   toPayload(values)        what to send; defaults to the values as they are
+  //   onSuccess(result, payload)
+  //   onError(error)
+  //   onInvalid(names)         these fields failed validation, here or on the server
+  // }
+  // The form resets once submit resolves.
+  const handleSubmit = (handlers) => (e) => {
+    e.preventDefault();
+
+    return exclusive(async () => {
+      const isValid = await validateFields(schema.fields.map(field => field.name), {
+        onInvalid: handlers.onInvalid
+      });
+
+      // If there are errors, don't submit
+      if (!isValid) return;
+
+      const toPayload = handlers.toPayload || ((formValues) => formValues);
+      await submitPayload(toPayload(values), handlers);
+    });
+  };
+
+  const retry = () => exclusive(async () => {
+    if (!lastSubmission.current) return;
+    const { payload, handlers } = lastSubmission.current;
+    await submitPayload(payload, handlers);
+  });
+
+  // Errors that aren't SubmitErrors (e.g. from a custom adapter) may be worth retrying
+  const canRetry = status === 'failed' && Boolean(lastSubmission.current) &&
+    !(submitError instanceof SubmitError && !submitError.isRetryable);
+
+  return {
+    values,
+    errors,
+    touched,
+    validating,
+    isSubmitting,
+    status,
+    problemCount,
+    submitError,
+    canRetry,
+    setFieldValue,
+    handleChange,
+    handleBlur,
+    blurField,
+    validateFields,
+    handleSubmit,
+    retry,
+    reset
+  };
+}
+
+// What the form inspector shows and masks
+export const inspectedState = ({ values, touched, errors, validating, status }) =>
+  ({ values, touched, errors, validating, status });
+
+export const sensitiveFields = (schema) =>
+  schema.fields.filter(field => field.sensitive).map(field => field.name);
+
+// Inputs use their field name as id, so this works for custom components too
+export function focusField(name) {
+  const input = document.getElementById(name);
+  if (input) input.focus();
+}
+
+const { color, space, radius, fontSize } = tokens;
+
+const visuallyHidden = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap'
+};
+
+export function SchemaField({ field, form }) {
+  const { values, errors, touched, validating, handleChange, handleBlur, setFieldValue, blurField } = form;
+  const { name, label, type = 'text' } = field;
+  const error = touched[name] && !validating[name] && errors[name];
+  const extra = field.renderExtra && field.renderExtra(values[name], values);
+  const help = (extra || validating[name]) && (
+    <>
+      {extra}
+      {validating[name] && <span>Checking…</span>}
+    </>
+  );
+
+  if (type === 'checkbox') {
+    return (
+      <Field id={name} help={help} error={error} style={{ marginBottom: space.xl }}>
+        {(control) => (
+          <Checkbox
+            {...control}
+            name={name}
+            checked={values[name]}
+            onChange={handleChange}
+            onBlur={handleBlur}
+            label={field.required ? `${label} *` : label}
+          />
+        )}
+      </Field>
+    );
+  }
+
+  return (
+    <Field id={name} label={label} required={Boolean(field.required)} help={help} error={error}>
+      {(control) => (field.component ? (
+        <field.component
+          {...control}
+          name={name}
+          value={values[name]}
+          onChange={(value) => setFieldValue(name, value)}
+          onBlur={() => blurField(name)}
+          placeholder={field.placeholder}
+        />
+      ) : (
+        <TextInput
+          {...control}
+          name={name}
+          type={type}
+          value={values[name]}
+          onChange={handleChange}
+          onBlur={handleBlur}
+          placeholder={field.placeholder}
+          {...field.inputProps}
+        />
+      ))}
+    </Field>
+  );
+}
+
+// Links to every field in `fields` that is showing an error. Only shown
+// after a submit (or wizard step) failed validation.
+export function ErrorSummary({ fields, form }) {
+  const { errors, touched, validating, status } = form;
+  const invalid = fields.filter(f => touched[f.name] && !validating[f.name] && errors[f.name]);
+
+  if (status !== 'invalid' || invalid.length === 0) return null;
+
+  const handleClick = (e, name) => {
+    e.preventDefault();
+    focusField(name);
+  };
+
+  return (
+    <div
+      aria-labelledby="error-summary-title"
+      style={{
+        marginBottom: space.xl,
+        padding: `${space.md} ${space.lg}`,
+        border: `2px solid ${color.error}`,
+        borderRadius: radius.sm
+      }}
+    >
+      <h3 id="error-summary-title" style={{ margin: `0 0 ${space.sm}`, fontSize: fontSize.md, color: color.error }}>
+        Please fix {invalid.length === 1 ? '1 problem' : `${invalid.length} problems`}
+      </h3>
+      <ul style={{ margin: 0, paddingLeft: space.xl }}>
+        {invalid.map(field => (
+          <li key={field.name}>
+            <a href={`#${field.name}`} onClick={(e) => handleClick(e, field.name)} style={{ color: color.error }}>
+              {errors[field.name]}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Always rendered, so screen readers pick up changes to its text. Success
+// is also shown; the submitting message is only announced, since the
+// button already says it.
+export function FormStatus({ form, messages }) {
+  const { status, problemCount, submitError } = form;
+
+  const text = {
+    idle: '',
+    invalid: problemCount === 1
+      ? 'There is 1 problem with the form'
+      : `There are ${problemCount} problems with the form`,
+    submitting: messages.submitting,
+    succeeded: messages.succeeded,
+    failed: submitError instanceof SubmitError
+      ? `${messages.failed} ${submitError.message}`
+      : messages.failed
+  }[status];
+
+  // Failures are shown by SubmitErrorBanner
+  const visible = status === 'succeeded';
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      style={visible ? {
+        marginBottom: space.xl,
+        padding: `${space.md} ${space.lg}`,
+        borderRadius: radius.sm,
+        color: color.successText,
+        background: color.successBackground
+      } : visuallyHidden}
+    >
+      {text}
+    </div>
+  );
+}
+
+// Form-level failure (network or server error) with a Retry button
+export function SubmitErrorBanner({ form, message }) {
+  const { status, submitError, canRetry, isSubmitting, retry } = form;
+  if (status !== 'failed') return null;
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: space.md,
+      marginBottom: space.xl,
+      padding: `${space.md} ${space.lg}`,
+      borderRadius: radius.sm,
+      color: color.errorText,
+      background: color.errorBackground
+    }}>
+      <div style={{ flex: 1 }}>
+        <strong>{message}</strong>
+        {submitError instanceof SubmitError && (
+          <div style={{ fontSize: fontSize.sm }}>{submitError.message}</div>
+        )}
+      </div>
+      {canRetry && (
+        <Button size="sm" onClick={retry} disabled={isSubmitting}>
+          Retry
+        </Button>
+      )}
+    </div>
+  );
+}
+
+export function SchemaForm({
+  schema,
+  adapter,
+  toPayload,
+  onSuccess,
+  onError,
+  submitLabel = 'Submit',
+  submittingLabel = 'Submitting...',
+  successMessage = 'Submitted successfully!',
+  errorMessage = 'Something went wrong. Please try again.',
+  inspectorName = 'SchemaForm'
+}) {
+  const form = useSchemaForm(schema);
+  const { isSubmitting, handleSubmit, reset } = form;
+
+  return (
+    <FormInspector
+      name={inspectorName}
+      state={inspectedState(form)}
+      sensitive={sensitiveFields(schema)}
+      onReset={reset}
+    >
+      <form
+        onSubmit={handleSubmit({
+          submit: (payload) => adapter.submit(payload),
+          toPayload,
+          onSuccess,
+          onError
+        })}
+        noValidate
+      >
+        <FormStatus
+          form={form}
+          messages={{ submitting: submittingLabel, succeeded: successMessage, failed: errorMessage }}
+        />
+        <SubmitErrorBanner form={form} message={errorMessage} />
+        <ErrorSummary fields={schema.fields} form={form} />
+
+        {schema.fields.map(field => (
+          <SchemaField key={field.name} field={field} form={form} />
+        ))}
+
+        <Button type="submit" size="lg" fullWidth loading={isSubmitting} loadingLabel={submittingLabel}>
+          {submitLabel}
+        </Button>
+      </form>
+    </FormInspector>
+  );
+}
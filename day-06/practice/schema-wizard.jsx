@@ -0,0 +1,278 @@
+// Wizard mode for schema forms
+// `schema.steps` splits the fields into pages:
+//
+//   steps: [{ id: 'account', title: 'Account', fields: ['email', 'password'] }, ...]
+//
+// Each page is validated before Next moves on, and Back keeps what was
+// entered. The draft (current step plus every field not marked `sensitive`)
+// is saved to localStorage under `draftKey`, so a reload resumes the wizard.
+
+import { useEffect, useRef, useState } from 'react';
+import {
+  ErrorSummary,
+  FormStatus,
+  SchemaField,
+  SubmitErrorBanner,
+  focusField,
+  initialValuesOf,
+  inspectedState,
+  sameValue,
+  sensitiveFields,
+  useSchemaForm,
+  validateField
+} from './schema-form';
+import { FormInspector } from '../../shared/form-inspector';
+import { Button, tokens } from '../../shared/ui';
+
+const { color, space, fontSize } = tokens;
+
+// Same type, and for objects the same keys with the same types
+function sameShape(value, expected) {
+  if (typeof value !== typeof expected) return false;
+  if (typeof expected !== 'object' || expected === null) return true;
+  return value !== null && Object.keys(expected).every(key => sameShape(value[key], expected[key]));
+}
+
+function loadDraft(schema, draftKey) {
+  try {
+    const draft = JSON.parse(localStorage.getItem(draftKey));
+    if (!draft || typeof draft.values !== 'object') return null;
+
+    // Only take known, non-sensitive fields of the right type
+    const initialValues = initialValuesOf(schema);
+    const values = {};
+    schema.fields.forEach(({ name, sensitive }) => {
+      if (!sensitive && sameShape(draft.values[name], initialValues[name])) {
+        values[name] = draft.values[name];
+      }
+    });
+
+    const step = Math.min(Math.max(Number(draft.step) || 0, 0), schema.steps.length - 1);
+    return { step, values };
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveDraft(schema, draftKey, step, values) {
+  const initialValues = initialValuesOf(schema);
+  const saved = {};
+  let isBlank = step === 0;
+
+  schema.fields.forEach(({ name, sensitive }) => {
+    if (sensitive) return;
+    saved[name] = values[name];
+    if (!sameValue(values[name], initialValues[name])) isBlank = false;
+  });
+
+  try {
+    if (isBlank) localStorage.removeItem(draftKey);
+    else localStorage.setItem(draftKey, JSON.stringify({ step, values: saved }));
+  } catch (err) {
+    // Storage is full or disabled; the wizard still works without drafts
+  }
+}
+
+// First step with a field that doesn't pass its sync checks, or -1
+function firstInvalidStep(schema, values, untilStep = schema.steps.length) {
+  return schema.steps
+    .slice(0, untilStep)
+    .findIndex(step => step.fields.some(name => validateField(schema, name, values)));
+}
+
+// Sensitive fields are never saved, so a draft can point past a step that
+// is now incomplete again (e.g. the password). Resume there instead.
+function resumeStep(schema, draft) {
+  const values = { ...initialValuesOf(schema), ...draft.values };
+  const invalid = firstInvalidStep(schema, values, draft.step);
+  return invalid === -1 ? draft.step : invalid;
+}
+
+function StepProgress({ steps, current }) {
+  return (
+    <div style={{ marginBottom: space.xl }}>
+      <p style={{ margin: `0 0 ${space.sm}`, fontSize: fontSize.sm, color: color.muted }}>
+        Step {current + 1} of {steps.length}: {steps[current].title}
+      </p>
+      <div style={{ height: '5px', background: color.border, borderRadius: '3px' }}>
+        <div style={{
+          width: `${((current + 1) / steps.length) * 100}%`,
+          height: '100%',
+          background: color.primary,
+          borderRadius: '3px',
+          transition: 'all 0.3s'
+        }} />
+      </div>
+      <ol style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        listStyle: 'none',
+        padding: 0,
+        margin: `${space.sm} 0 0`,
+        fontSize: fontSize.sm
+      }}>
+        {steps.map((step, index) => (
+          <li
+            key={step.id}
+            aria-current={index === current ? 'step' : undefined}
+            style={{
+              fontWeight: index === current ? 'bold' : 'normal',
+              color: index <= current ? color.primary : color.faint
+            }}
+          >
+            {index + 1}. {step.title}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export function SchemaWizard({
+  schema,
+  draftKey,
+  adapter,
+  toPayload,
+  onSuccess,
+  onError,
+  submitLabel = 'Submit',
+  submittingLabel = 'Submitting...',
+  successMessage = 'Submitted successfully!',
+  errorMessage = 'Something went wrong. Please try again.',
+  inspectorName = 'SchemaWizard'
+}) {
+  const [draft] = useState(() => loadDraft(schema, draftKey));
+  const form = useSchemaForm(schema, { initialValues: draft && draft.values });
+  const [stepIndex, setStepIndex] = useState(() => (draft ? resumeStep(schema, draft) : 0));
+  const [isAdvancing, setIsAdvancing] = useState(false);
+  const isFirstRender = useRef(true);
+  // Field to focus after the next step change, instead of the step's first field
+  const focusTarget = useRef(null);
+
+  const { values, isSubmitting, validateFields, handleSubmit, reset } = form;
+  const step = schema.steps[stepIndex];
+  const isLastStep = stepIndex === schema.steps.length - 1;
+  const fields = step.fields.map(name => schema.fields.find(f => f.name === name));
+
+  useEffect(() => {
+    saveDraft(schema, draftKey, stepIndex, values);
+  }, [schema, draftKey, stepIndex, values]);
+
+  // Move focus into the new step, but not on page load
+  useEffect(() => {
+    if (isFirstRender.current) {
+      isFirstRender.current = false;
+      return;
+    }
+    focusField(focusTarget.current || step.fields[0]);
+    focusTarget.current = null;
+  }, [step]);
+
+  // Show the earliest step that has one of the given fields, and focus it
+  const showFields = (names) => {
+    const index = schema.steps.findIndex(s => s.fields.some(name => names.includes(name)));
+    if (index === -1) return;
+
+    const name = schema.steps[index].fields.find(field => names.includes(field));
+    if (index === stepIndex) {
+      focusField(name);
+    } else {
+      focusTarget.current = name;
+      setStepIndex(index);
+    }
+  };
+
+  const goToStep = async (index) => {
+    setIsAdvancing(true);
+    const isValid = await validateFields(step.fields);
+    setIsAdvancing(false);
+    if (isValid) setStepIndex(index);
+  };
+
+  const handlers = {
+    submit: (payload) => adapter.submit(payload),
+    toPayload,
+    onSuccess: (result, payload) => {
+      setStepIndex(0);
+      if (onSuccess) onSuccess(result, payload);
+    },
+    onError,
+    // A field from an earlier step can fail the final check (e.g. its async
+    // check couldn't reach the server) or be rejected by the server
+    onInvalid: showFields
+  };
+
+  const handleFormSubmit = (e) => {
+    if (!isLastStep) {
+      e.preventDefault();
+      goToStep(stepIndex + 1);
+      return;
+    }
+
+    // Earlier steps were checked on Next, but a resumed draft may skip one
+    const invalid = firstInvalidStep(schema, values, stepIndex);
+    if (invalid !== -1) {
+      e.preventDefault();
+      const invalidField = schema.steps[invalid].fields.find(name => validateField(schema, name, values));
+      // Its fields aren't rendered yet; showFields focuses once they are
+      showFields([invalidField]);
+      validateFields(schema.steps[invalid].fields, { focus: false });
+      return;
+    }
+
+    handleSubmit(handlers)(e);
+  };
+
+  const isBusy = isAdvancing || isSubmitting;
+
+  const handleReset = () => {
+    reset();
+    setStepIndex(0);
+  };
+
+  return (
+    <FormInspector
+      name={inspectorName}
+      state={{ ...inspectedState(form), step: step.id }}
+      sensitive={sensitiveFields(schema)}
+      onReset={handleReset}
+    >
+      <form onSubmit={handleFormSubmit} noValidate>
+        <StepProgress steps={schema.steps} current={stepIndex} />
+        <FormStatus
+          form={form}
+          messages={{ submitting: submittingLabel, succeeded: successMessage, failed: errorMessage }}
+        />
+        <SubmitErrorBanner form={form} message={errorMessage} />
+        <ErrorSummary fields={fields} form={form} />
+
+        {fields.map(field => (
+          <SchemaField key={field.name} field={field} form={form} />
+        ))}
+
+        <div style={{ display: 'flex', gap: space.md }}>
+          {stepIndex > 0 && (
+            <Button
+              variant="secondary"
+              size="lg"
+              fullWidth
+              onClick={() => setStepIndex(stepIndex - 1)}
+              disabled={isBusy}
+            >
+              Back
+            </Button>
+          )}
+          <Button
+            type="submit"
+            size="lg"
+            fullWidth
+            loading={isBusy}
+            loadingLabel={isSubmitting ? submittingLabel : 'Checking...'}
+          >
+            {isLastStep ? submitLabel : 'Next'}
+          </Button>
+        </div>
+      </form>
+    </FormInspector>
+  );
+}
@@ -0,0 +1,94 @@
+// Submit adapters
+// A form hands its payload to `adapter.submit(payload)`. The adapter
+// resolves with whatever the server returned, or throws a SubmitError:
+//
+//   kind 'validation'  the server rejected some fields; `fieldErrors` is
+//                      [{ field, message }] and each shows on its field
+//   kind 'network'     the server couldn't be reached
+//   kind 'server'      the server failed (5xx) or refused the request
+//
+// Apps can plug in their own API client as long as it follows this shape.
+
+export class SubmitError extends Error {
+  constructor(message, { kind, status = null, fieldErrors = [] }) {
+    super(message);
+    this.name = 'SubmitError';
+    this.kind = kind;
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+  }
+
+  // Resubmitting the same payload might work next time
+  get isRetryable() {
+    return this.kind === 'network' || (this.kind === 'server' && this.status >= 500);
+  }
+}
+
+const createKey = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// POSTs the payload as JSON. A payload gets one Idempotency-Key for all its
+// attempts, so if a response is lost and the user retries, the server can
+// tell it's the same registration and not create it twice.
+export function createFetchAdapter(url, { headers = {} } = {}) {
+  const keys = new WeakMap();
+
+  const keyFor = (payload) => {
+    if (!keys.has(payload)) keys.set(payload, createKey());
+    return keys.get(payload);
+  };
+
+  const submit = async (payload) => {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': keyFor(payload),
+          ...headers
+        },
+        body: JSON.stringify(payload)
+      });
+    } catch (err) {
+      // fetch only throws when the request never got a response
+      throw new SubmitError("Couldn't reach the server. Check your connection and try again.", {
+        kind: 'network'
+      });
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (response.ok) return body;
+
+    if (response.status === 422 && Array.isArray(body.errors)) {
+      throw new SubmitError('Some fields need fixing', {
+        kind: 'validation',
+        status: response.status,
+        fieldErrors: body.errors
+      });
+    }
+
+    throw new SubmitError(
+      response.status >= 500
+        ? 'The server ran into a problem. Please try again.'
+        : body.error || `Request failed with status ${response.status}`,
+      { kind: 'server', status: response.status }
+    );
+  };
+
+  return { submit };
+}
+
+// No server: waits a moment and echoes the payload back, so the form
+// behaves as it would against a real endpoint
+export function createLocalAdapter({ delay = 2000 } = {}) {
+  const submit = async (payload) => {
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return payload;
+  };
+
+  return { submit };
+}
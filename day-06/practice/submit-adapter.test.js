@@ -0,0 +1,122 @@
+// Tests for createFetchAdapter against POST /register on the real mock server
+// Run with: node --test day-06/practice/
+
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SubmitError, createFetchAdapter } from './submit-adapter.js';
+import { freePort, startMockServer } from './mock-server-process.js';
+
+let server;
+// Every registration fails with a 503
+let failingServer;
+
+before(async () => {
+  [server, failingServer] = await Promise.all([
+    startMockServer({ DELAY: 0 }),
+    startMockServer({ DELAY: 0, FAIL_RATE: 1 })
+  ]);
+});
+
+after(() => Promise.all([server.stop(), failingServer.stop()]));
+
+// The Idempotency-Key of every request sent, in order
+let sentKeys;
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  sentKeys = [];
+  globalThis.fetch = (url, options) => {
+    sentKeys.push(options.headers['Idempotency-Key']);
+    return realFetch(url, options);
+  };
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+let nextUser = 1;
+
+const registration = (overrides = {}) => {
+  const n = nextUser++;
+  return {
+    fullName: 'Ada Lovelace',
+    email: `ada${n}@example.com`,
+    phoneNumber: `+1201555${String(n).padStart(4, '0')}`,
+    password: 'correct horse battery',
+    dateOfBirth: '1990-12-10',
+    agreeToTerms: true,
+    ...overrides
+  };
+};
+
+test('a valid registration resolves with the server response', async () => {
+  const adapter = createFetchAdapter(`${server.url}/register`);
+  const payload = registration();
+
+  const result = await adapter.submit(payload);
+  assert.equal(typeof result.id, 'number');
+  assert.equal(result.email, payload.email);
+});
+
+test('a 422 becomes a validation error with fieldErrors', async () => {
+  const adapter = createFetchAdapter(`${server.url}/register`);
+
+  const error = await adapter.submit(registration({ email: 'taken@example.com', password: 'short' }))
+    .then(() => assert.fail('submit should have been rejected'), err => err);
+
+  assert.ok(error instanceof SubmitError);
+  assert.equal(error.kind, 'validation');
+  assert.equal(error.status, 422);
+  assert.equal(error.isRetryable, false);
+  assert.deepEqual(error.fieldErrors, [
+    { field: 'email', message: 'This email is already registered' },
+    { field: 'password', message: 'Password must be at least 8 characters' }
+  ]);
+});
+
+test('a 503 is retryable and the retry sends the same Idempotency-Key', async () => {
+  const adapter = createFetchAdapter(`${failingServer.url}/register`);
+  const payload = registration();
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    await assert.rejects(adapter.submit(payload), (err) => {
+      assert.equal(err.kind, 'server');
+      assert.equal(err.status, 503);
+      assert.equal(err.isRetryable, true);
+      return true;
+    });
+  }
+
+  assert.equal(sentKeys.length, 2);
+  assert.ok(sentKeys[0]);
+  assert.equal(sentKeys[1], sentKeys[0]);
+
+  // A different payload is a different registration
+  await assert.rejects(adapter.submit(registration()));
+  assert.notEqual(sentKeys[2], sentKeys[0]);
+});
+
+test('resending with the same key does not register twice', async () => {
+  const adapter = createFetchAdapter(`${server.url}/register`);
+  const payload = registration();
+
+  const first = await adapter.submit(payload);
+  // Without the key the server would now say the email is taken
+  const again = await adapter.submit(payload);
+
+  assert.deepEqual(again, first);
+  assert.equal(sentKeys[1], sentKeys[0]);
+});
+
+test('a network failure is reported as retryable', async () => {
+  const adapter = createFetchAdapter(`http://localhost:${await freePort()}/register`);
+
+  await assert.rejects(adapter.submit(registration()), (err) => {
+    assert.ok(err instanceof SubmitError);
+    assert.equal(err.kind, 'network');
+    assert.equal(err.status, null);
+    assert.equal(err.isRetryable, true);
+    return true;
+  });
+});
@@ -0,0 +1,118 @@
+// Local mock REST server for TodoListApp's server sync
+// Run with: node day-07/practice/mock-server.mjs
+// Then render <TodoListApp apiUrl="http://localhost:4000" />
+//
+// Options (environment variables):
+//   PORT=4000      port to listen on
+//   DELAY=0        artificial latency in ms, to watch the sync indicator
+//
+// Data lives in memory and is gone when the server stops. Stop the server
+// to see the app go offline and queue its changes.
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 4000;
+const DELAY = Number(process.env.DELAY) || 0;
+
+const todos = new Map();
+const tombstones = {};
+
+const time = (iso) => Date.parse(iso) || 0;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(data));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+// Returns an error message, or null when the todo is acceptable
+function validate(todo, id) {
+  if (!todo || typeof todo !== 'object') return 'Body must be a todo object';
+  if (String(todo.id) !== id) return 'Todo id does not match the URL';
+  if (typeof todo.text !== 'string' || !todo.text.trim()) return 'Text is required';
+  if (todo.text.length > 500) return 'Text must be 500 characters or less';
+  if (typeof todo.completed !== 'boolean') return 'Completed must be true or false';
+  if (isNaN(Date.parse(todo.updatedAt))) return 'updatedAt must be a date';
+  return null;
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const match = url.pathname.match(/^\/todos(?:\/([^/]+))?$/);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (!match) return send(res, 404, { error: 'Not found' });
+
+  const id = match[1] && decodeURIComponent(match[1]);
+
+  if (req.method === 'GET' && !id) {
+    return send(res, 200, { todos: [...todos.values()], tombstones });
+  }
+
+  if (req.method === 'PUT' && id) {
+    let todo;
+    try {
+      todo = await readBody(req);
+    } catch (err) {
+      return send(res, 400, { error: 'Body must be valid JSON' });
+    }
+
+    const error = validate(todo, id);
+    if (error) return send(res, 422, { error });
+
+    // Last writer wins, same as between tabs
+    if (tombstones[id] && time(tombstones[id]) >= time(todo.updatedAt)) {
+      return send(res, 409, { error: 'This todo was deleted on another device', deletedAt: tombstones[id] });
+    }
+    const existing = todos.get(id);
+    if (existing && time(existing.updatedAt) > time(todo.updatedAt)) {
+      return send(res, 409, { error: 'A newer version exists on another device', todo: existing });
+    }
+
+    todos.set(id, todo);
+    delete tombstones[id];
+    return send(res, 200, todo);
+  }
+
+  if (req.method === 'DELETE' && id) {
+    const deletedAt = url.searchParams.get('deletedAt') || new Date().toISOString();
+    const existing = todos.get(id);
+    if (existing && time(existing.updatedAt) > time(deletedAt)) {
+      return send(res, 409, { error: 'This todo was changed on another device', todo: existing });
+    }
+
+    todos.delete(id);
+    if (!tombstones[id] || time(tombstones[id]) < time(deletedAt)) tombstones[id] = deletedAt;
+    return send(res, 204);
+  }
+
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+http
+  .createServer((req, res) => {
+    setTimeout(() => {
+      handle(req, res).catch(err => send(res, 500, { error: err.message }));
+    }, DELAY);
+  })
+  .listen(PORT, () => {
+    console.log(`Todo mock server listening on http://localhost:${PORT}`);
+  });
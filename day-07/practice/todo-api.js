@@ -0,0 +1,58 @@
+// REST client for the todo server (see mock-server.mjs)
+//
+//   GET    /todos      -> { todos, tombstones }
+//   PUT    /todos/:id  -> upsert a todo, 422/409 when rejected
+//   DELETE /todos/:id?deletedAt=...  -> 204, also when the todo is already gone
+//
+// A 409 body carries the server's copy: { error, todo } when it has a newer
+// version, { error, deletedAt } when the todo was deleted.
+//
+// PUT and DELETE are idempotent, so replaying a queued change twice is harmless.
+
+export class ApiError extends Error {
+  constructor(message, status, body = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+  }
+
+  // 4xx: the server understood the change and refused it; retrying won't help
+  get isRejection() {
+    return this.status >= 400 && this.status < 500;
+  }
+
+  // 409: someone else changed the todo first; `body` says how
+  get isConflict() {
+    return this.status === 409;
+  }
+}
+
+export function createTodoApi(baseUrl) {
+  const request = async (path, options = {}) => {
+    // fetch only throws for network failures, i.e. when we're offline
+    const response = await fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new ApiError(body.error || `Request failed with status ${response.status}`, response.status, body);
+    }
+
+    return response.status === 204 ? null : response.json();
+  };
+
+  return {
+    list: () => request('/todos'),
+    put: (todo) => request(`/todos/${encodeURIComponent(todo.id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(todo)
+    }),
+    remove: (id, deletedAt) => request(
+      `/todos/${encodeURIComponent(id)}?deletedAt=${encodeURIComponent(deletedAt)}`,
+      { method: 'DELETE' }
+    )
+  };
+}
@@ -0,0 +1,91 @@
+// Undo/redo history for TodoListApp
+// Every entry stores the before/after version of each todo it touched,
+// so undoing a step only rewinds those todos and leaves the rest alone.
+
+export const HISTORY_LIMIT = 50;
+
+export const createHistory = () => ({ past: [], future: [] });
+
+// Compare two todo lists by id and describe what changed
+export function diffTodos(prevTodos, nextTodos) {
+  const prevIndex = new Map(prevTodos.map((todo, index) => [todo.id, index]));
+  const nextIndex = new Map(nextTodos.map((todo, index) => [todo.id, index]));
+  const changes = [];
+
+  prevTodos.forEach((before, index) => {
+    const after = nextIndex.has(before.id) ? nextTodos[nextIndex.get(before.id)] : null;
+    if (before !== after) {
+      changes.push({
+        id: before.id,
+        before,
+        after,
+        beforeIndex: index,
+        afterIndex: after ? nextIndex.get(before.id) : -1
+      });
+    }
+  });
+
+  nextTodos.forEach((after, index) => {
+    if (!prevIndex.has(after.id)) {
+      changes.push({ id: after.id, before: null, after, beforeIndex: -1, afterIndex: index });
+    }
+  });
+
+  return changes;
+}
+
+// Put each touched todo back to its `before` or `after` version
+export function applyChanges(todos, changes, side) {
+  const touched = new Set(changes.map(change => change.id));
+  const result = todos.filter(todo => !touched.has(todo.id));
+
+  changes
+    .filter(change => change[side])
+    .sort((a, b) => a[`${side}Index`] - b[`${side}Index`])
+    .forEach(change => {
+      const index = Math.min(change[`${side}Index`], result.length);
+      result.splice(index, 0, change[side]);
+    });
+
+  return result;
+}
+
+// A bulk operation goes through one record() call, so it undoes as one step
+export function record(history, label, changes, limit = HISTORY_LIMIT) {
+  if (changes.length === 0) return history;
+
+  return {
+    past: [...history.past, { label, changes }].slice(-limit),
+    future: []
+  };
+}
+
+export function undo(history, todos) {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return { history, todos };
+
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [entry, ...history.future]
+    },
+    todos: applyChanges(todos, entry.changes, 'before')
+  };
+}
+
+export function redo(history, todos) {
+  const [entry, ...future] = history.future;
+  if (!entry) return { history, todos };
+
+  return {
+    history: {
+      past: [...history.past, entry],
+      future
+    },
+    todos: applyChanges(todos, entry.changes, 'after')
+  };
+}
+
+export function isValidHistory(history) {
+  return Boolean(history) && Array.isArray(history.past) && Array.isArray(history.future);
+}
@@ -0,0 +1,20 @@
+// Client-generated todo ids
+// `Date.now()` ids collide when two devices add a todo in the same
+// millisecond. Random UUIDs don't, so clients can create todos offline
+// and the server can upsert them by id.
+
+export function createTodoId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  // Fallback for older browsers: timestamp plus 96 random bits. Without
+  // crypto at all (some old or embedded runtimes) Math.random has to do.
+  const random = new Uint32Array(3);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(random);
+  } else {
+    random.forEach((_, i) => { random[i] = Math.floor(Math.random() * 2 ** 32); });
+  }
+  return [Date.now().toString(36), ...Array.from(random, n => n.toString(36))].join('-');
+}
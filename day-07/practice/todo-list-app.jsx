@@ -1,181 +1,890 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useReducer, useRef } from 'react';
+import { createHistory, diffTodos, record, undo, redo } from './todo-history';
+import { createTodoStore } from './todo-storage';
+import { stampChanges, mergeSnapshots, createTabSync } from './todo-sync';
+import { FORMATS, detectFormat, exportTodos, importTodos, combineImported } from './todo-transfer';
+import {
+  PRIORITIES,
+  SORT_OPTIONS,
+  parseQuery,
+  matchesQuery,
+  sortTodos,
+  isOverdue,
+  todayString
+} from './todo-query';
+import { ensureOrder } from './todo-order';
+import { createTodoId } from './todo-id';
+import { createTodoApi } from './todo-api';
+import { createOutbox, createServerSync } from './todo-server-sync';
+import {
+  visibleRows,
+  descendantIds,
+  removeWithDescendants,
+  repairTree,
+  setCompleted,
+  nestUnder,
+  moveInTree
+} from './todo-tree';
+import { Button, Checkbox, Select, TextInput, tokens } from '../../shared/ui';
 
-function TodoListApp() {
-  const [todos, setTodos] = useState(() => {
-    const saved = localStorage.getItem('todos');
-    return saved ? JSON.parse(saved) : [];
-  });
+const { color, space, radius, fontSize } = tokens;
+
+const PRIORITY_COLORS = { high: color.danger, medium: '#fd7e14', low: '#6c757d' };
+
+// Filter routes, following the TodoMVC spec
+const FILTER_HASHES = {
+  all: '#/',
+  active: '#/active',
+  completed: '#/completed'
+};
+
+function filterFromHash(hash) {
+  if (hash === FILTER_HASHES.active) return 'active';
+  if (hash === FILTER_HASHES.completed) return 'completed';
+  return 'all';
+}
+
+// Keep the filter in the URL hash so it can be bookmarked and works with back/forward
+function useHashFilter() {
+  const [filter, setFilter] = useState(() => filterFromHash(window.location.hash));
+  
+  useEffect(() => {
+    const handleHashChange = () => setFilter(filterFromHash(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+  
+  return filter;
+}
+
+const visuallyHidden = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap'
+};
+
+const defaultStore = createTodoStore();
+
+const initialState = {
+  todos: [],
+  history: createHistory(),
+  tombstones: {},
+  status: 'loading', // loading, ready
+  source: 'storage', // storage, local, remote, server, rollback - where the last change came from
+  warning: null
+};
+
+const SYNC_RETRY_INTERVAL = 30000;
+
+const SYNC_LABELS = {
+  synced: { text: 'Synced', color: color.success },
+  syncing: { text: 'Syncing...', color: color.primary },
+  offline: { text: 'Offline', color: '#6c757d' },
+  error: { text: 'Sync error', color: color.danger }
+};
+
+// Network failures are reported by the sync itself; this covers the rest,
+// e.g. the outbox can't be written or the lock can't be taken
+const syncFailed = (err) => (current) => ({
+  ...current,
+  state: 'error',
+  message: `Could not sync (${err.message})`
+});
+
+// Stamp a local change so other tabs can merge it
+function applyLocalChange(state, nextTodos, history) {
+  const { todos, tombstones } = stampChanges(state.todos, nextTodos, state.tombstones);
+  return { ...state, todos, tombstones, history, source: 'local' };
+}
+
+// Swap the todo with `id` for `replacement` in place, add it if it is
+// missing, or remove it when `replacement` is null
+function replaceTodo(todos, id, replacement) {
+  if (!replacement) return todos.filter(todo => todo.id !== id);
+  return todos.some(todo => todo.id === id)
+    ? todos.map(todo => (todo.id === id ? replacement : todo))
+    : [...todos, replacement];
+}
+
+function todosReducer(state, action) {
+  switch (action.type) {
+    case 'loaded':
+      return {
+        todos: action.todos,
+        history: action.history,
+        tombstones: action.tombstones,
+        status: 'ready',
+        source: 'storage',
+        warning: action.warning
+      };
+    case 'commit': {
+      const { todos, tombstones } = stampChanges(
+        state.todos,
+        repairTree(ensureOrder(action.update(state.todos))),
+        state.tombstones
+      );
+      const changes = diffTodos(state.todos, todos);
+      return {
+        ...state,
+        todos,
+        tombstones,
+        // View-only changes such as collapsing a subtree have no label and skip history
+        history: action.label ? record(state.history, action.label, changes) : state.history,
+        source: 'local'
+      };
+    }
+    case 'undo': {
+      const { todos, history } = undo(state.history, state.todos);
+      return applyLocalChange(state, todos, history);
+    }
+    case 'redo': {
+      const { todos, history } = redo(state.history, state.todos);
+      return applyLocalChange(state, todos, history);
+    }
+    // A snapshot from another tab, or from the server when `action.source` is 'server'
+    case 'remote': {
+      if (state.status !== 'ready') return state;
+      const merged = mergeSnapshots(state, action.snapshot);
+      if (!merged.changed) return state;
+      return {
+        ...state,
+        todos: repairTree(merged.todos),
+        tombstones: merged.tombstones,
+        source: action.source || 'remote'
+      };
+    }
+    // The server refused a queued change: put the todo back the way it was
+    case 'rollback': {
+      const { op, conflict } = action;
+      
+      // Another device got there first. Take the server's copy as it is:
+      // stamping it would make it look newer and the next pull would push
+      // our change again.
+      if (conflict && (conflict.todo || conflict.deletedAt)) {
+        const tombstones = { ...state.tombstones };
+        if (conflict.todo) delete tombstones[op.id];
+        else tombstones[op.id] = conflict.deletedAt;
+        return {
+          ...state,
+          todos: repairTree(replaceTodo(state.todos, op.id, conflict.todo || null)),
+          tombstones,
+          source: 'rollback',
+          warning: action.message
+        };
+      }
+      
+      return {
+        ...applyLocalChange(state, repairTree(replaceTodo(state.todos, op.id, op.before)), state.history),
+        source: 'rollback',
+        warning: action.message
+      };
+    }
+    case 'warn':
+      return { ...state, warning: action.warning };
+    default:
+      return state;
+  }
+}
+
+function isTextField(element) {
+  return element.tagName === 'TEXTAREA' ||
+    (element.tagName === 'INPUT' && ['text', 'search', 'date'].includes(element.type));
+}
+
+// Pass `apiUrl` to sync with a server, e.g. the bundled mock-server.mjs
+function TodoListApp({
+  store = defaultStore,
+  apiUrl = null,
+  autoCompleteParents: autoCompleteDefault = false
+}) {
+  const [{ todos, history, tombstones, status, source, warning }, dispatch] =
+    useReducer(todosReducer, initialState);
+  const syncRef = useRef(null);
+  const serverSyncRef = useRef(null);
+  const snapshotRef = useRef({ todos, tombstones });
+  const syncedTodosRef = useRef(todos);
+  const [syncStatus, setSyncStatus] = useState({ state: 'syncing', pending: 0, message: null });
   
-  const [filter, setFilter] = useState('all'); // all, active, completed
+  const filter = useHashFilter(); // all, active, completed
   const [newTodo, setNewTodo] = useState('');
+  const [newDueDate, setNewDueDate] = useState('');
+  const [newPriority, setNewPriority] = useState('');
+  const [newTags, setNewTags] = useState('');
+  const [query, setQuery] = useState('');
+  const [sortBy, setSortBy] = useState('manual');
+  const [drag, setDrag] = useState(null); // { id, targetId, position }
+  const [autoCompleteParents, setAutoCompleteParents] = useState(autoCompleteDefault);
+  const [subtaskParentId, setSubtaskParentId] = useState(null);
+  const [subtaskText, setSubtaskText] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const editClosedRef = useRef(false);
+  const [announcement, setAnnouncement] = useState('');
+  const handleRefs = useRef(new Map());
+  const pendingFocusRef = useRef(null);
+  
+  // Load saved todos once; the store recovers from bad data instead of throwing
+  useEffect(() => {
+    let cancelled = false;
+    
+    store.load().then(({ todos, history, tombstones, warning }) => {
+      if (!cancelled) dispatch({ type: 'loaded', todos, history, tombstones, warning });
+    });
+    
+    return () => { cancelled = true; };
+  }, [store]);
+  
+  // Receive changes made in other tabs
+  useEffect(() => {
+    const sync = createTabSync(store, snapshot => dispatch({ type: 'remote', snapshot }));
+    syncRef.current = sync;
+    
+    return () => {
+      sync.close();
+      syncRef.current = null;
+    };
+  }, [store]);
+  
+  // Save todos and their history whenever they change,
+  // tell other tabs about changes made in this one
+  // and queue those changes for the server
+  useEffect(() => {
+    if (status !== 'ready') return;
+    
+    // Nothing to save right after loading. Writing back what was loaded
+    // would also replace data the store couldn't read (e.g. saved by a
+    // newer version of the app) before the user changed anything.
+    if (source !== 'storage') {
+      store.save({ todos, history, tombstones }).catch(err => {
+        dispatch({ type: 'warn', warning: `Could not save todos (${err.message})` });
+      });
+    }
+    
+    if ((source === 'local' || source === 'rollback') && syncRef.current) {
+      syncRef.current.publish({ todos, tombstones });
+    }
+    
+    // Other tabs queue their own changes, and rollbacks already match the server
+    if (source === 'local' && serverSyncRef.current) {
+      serverSyncRef.current
+        .push(diffTodos(syncedTodosRef.current, todos), tombstones)
+        .catch(err => setSyncStatus(syncFailed(err)));
+    }
+    
+    syncedTodosRef.current = todos;
+    snapshotRef.current = { todos, tombstones };
+  }, [store, status, source, todos, history, tombstones]);
+  
+  // Sync with the server: reconcile on start, on reconnect and when the
+  // window regains focus, and retry the queue periodically while offline
+  const ready = status === 'ready';
+  useEffect(() => {
+    if (!apiUrl || !ready) return;
+    
+    const serverSync = createServerSync({
+      api: createTodoApi(apiUrl),
+      outbox: createOutbox(store),
+      lockName: `${store.key}:server-sync`,
+      onStatus: setSyncStatus,
+      onSnapshot: (snapshot) => dispatch({ type: 'remote', snapshot, source: 'server' }),
+      onRejected: (op, err) => {
+        const text = (op.todo || op.before).text;
+        dispatch({
+          type: 'rollback',
+          op,
+          conflict: err.isConflict ? err.body : null,
+          message: `The server rejected your change to "${text}" and it was undone: ${err.message}`
+        });
+      }
+    });
+    serverSyncRef.current = serverSync;
+    
+    const pull = () => {
+      serverSync.pull(() => snapshotRef.current).catch(err => setSyncStatus(syncFailed(err)));
+    };
+    pull();
+    
+    const retry = setInterval(() => {
+      serverSync.flush().catch(err => setSyncStatus(syncFailed(err)));
+    }, SYNC_RETRY_INTERVAL);
+    window.addEventListener('online', pull);
+    window.addEventListener('focus', pull);
+    
+    return () => {
+      clearInterval(retry);
+      window.removeEventListener('online', pull);
+      window.removeEventListener('focus', pull);
+      serverSyncRef.current = null;
+    };
+  }, [store, apiUrl, ready]);
+  
+  // Ctrl+Z / Ctrl+Shift+Z, leaving text inputs to their native undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (isTextField(e.target)) return;
+      
+      e.preventDefault();
+      dispatch({ type: e.shiftKey ? 'redo' : 'undo' });
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
   
-  // Save to localStorage whenever todos change
+  // Moving a row re-inserts its DOM node, which drops focus; put it back
   useEffect(() => {
-    localStorage.setItem('todos', JSON.stringify(todos));
+    const id = pendingFocusRef.current;
+    if (id === null) return;
+    
+    pendingFocusRef.current = null;
+    const handle = handleRefs.current.get(id);
+    if (handle) handle.focus();
   }, [todos]);
   
+  const commit = (label, update) => dispatch({ type: 'commit', label, update });
+  
   const addTodo = () => {
     if (newTodo.trim()) {
       const todo = {
-        id: Date.now(),
+        id: createTodoId(),
         text: newTodo.trim(),
         completed: false,
-        createdAt: new Date().toISOString()
+        createdAt: new Date().toISOString(),
+        dueDate: newDueDate || null,
+        priority: newPriority || null,
+        tags: [...new Set(newTags.split(/[\s,]+/).filter(Boolean))],
+        parentId: null,
+        collapsed: false
       };
-      setTodos([...todos, todo]);
+      commit(`Add "${todo.text}"`, todos => [...todos, todo]);
       setNewTodo('');
+      setNewDueDate('');
+      setNewPriority('');
+      setNewTags('');
     }
   };
   
-  const toggleTodo = (id) => {
-    setTodos(todos.map(todo =>
-      todo.id === id ? { ...todo, completed: !todo.completed } : todo
-    ));
+  const addSubtask = (parent) => {
+    const text = subtaskText.trim();
+    if (!text) return;
+    
+    const subtask = {
+      id: createTodoId(),
+      text,
+      completed: false,
+      createdAt: new Date().toISOString(),
+      dueDate: null,
+      priority: null,
+      tags: [],
+      parentId: parent.id,
+      collapsed: false
+    };
+    commit(`Add subtask "${text}"`, todos => nestUnder([...todos, subtask], subtask.id, parent.id));
+    setSubtaskText('');
   };
   
+  const toggleTodo = (todo) => {
+    commit('Toggle todo', todos =>
+      setCompleted(todos, todo.id, !todo.completed, autoCompleteParents)
+    );
+  };
+  
+  // Deleting a todo deletes its subtasks with it
   const deleteTodo = (id) => {
-    setTodos(todos.filter(todo => todo.id !== id));
+    commit('Delete todo', todos => removeWithDescendants(todos, [id]));
+  };
+  
+  const toggleCollapsed = (id) => {
+    commit(null, todos => todos.map(todo =>
+      todo.id === id ? { ...todo, collapsed: !todo.collapsed } : todo
+    ));
+  };
+  
+  const toggleAll = (completed) => {
+    commit(completed ? 'Complete all' : 'Uncomplete all', todos => todos.map(todo =>
+      todo.completed === completed ? todo : { ...todo, completed }
+    ));
+  };
+  
+  const startEditing = (todo) => {
+    editClosedRef.current = false;
+    setEditingId(todo.id);
+    setEditText(todo.text);
+  };
+  
+  // Enter and blur both save; an empty title deletes the todo.
+  // The ref stops the blur that follows Enter or Escape from saving again.
+  const finishEditing = (todo) => {
+    if (editClosedRef.current) return;
+    
+    editClosedRef.current = true;
+    const text = editText.trim();
+    setEditingId(null);
+    
+    if (!text) {
+      deleteTodo(todo.id);
+    } else if (text !== todo.text) {
+      commit('Edit todo', todos => todos.map(item =>
+        item.id === todo.id ? { ...item, text } : item
+      ));
+    }
+  };
+  
+  const handleEditKeyDown = (e, todo) => {
+    if (e.key === 'Enter' && !e.nativeEvent.isComposing) {
+      finishEditing(todo);
+    } else if (e.key === 'Escape') {
+      editClosedRef.current = true;
+      setEditingId(null);
+    }
   };
   
   const clearCompleted = () => {
-    setTodos(todos.filter(todo => !todo.completed));
+    commit('Clear completed', todos => removeWithDescendants(
+      todos,
+      todos.filter(todo => todo.completed).map(todo => todo.id)
+    ));
+  };
+  
+  const importList = (imported, mode) => {
+    const label = mode === 'replace'
+      ? `Replace with ${imported.length} imported todos`
+      : `Import ${imported.length} todos`;
+    commit(label, todos => combineImported(todos, imported, mode));
+  };
+  
+  if (status === 'loading') {
+    return (
+      <div style={{ maxWidth: '600px', margin: '0 auto', padding: space.xl }}>
+        <h1>My Todo List</h1>
+        <p style={{ color: color.muted }}>Loading todos...</p>
+      </div>
+    );
+  }
+  
+  const lastChange = history.past[history.past.length - 1];
+  const nextChange = history.future[0];
+  
+  const today = todayString();
+  const { terms, errors: queryErrors } = parseQuery(query);
+  
+  const matchesFilters = (todo) => {
+    if (filter === 'active' && todo.completed) return false;
+    if (filter === 'completed' && !todo.completed) return false;
+    return matchesQuery(todo, terms, today);
   };
   
-  const filteredTodos = todos.filter(todo => {
-    if (filter === 'active') return !todo.completed;
-    if (filter === 'completed') return todo.completed;
-    return true; // all
-  });
+  // Subtasks sort among their siblings, and parents of matches stay visible
+  const rows = visibleRows(todos, matchesFilters, siblings => sortTodos(siblings, sortBy));
+  const visibleTodos = rows.map(row => row.todo);
   
   const activeCount = todos.filter(todo => !todo.completed).length;
   const completedCount = todos.filter(todo => todo.completed).length;
+  const allCompleted = todos.length > 0 && activeCount === 0;
+  
+  // Reordering works on the visible rows, so only manual sort allows it
+  const canReorder = sortBy === 'manual';
+  
+  // Alt+Up/Down moves among visible siblings
+  const moveBy = (todo, delta) => {
+    const siblings = visibleTodos.filter(item => item.parentId === todo.parentId);
+    const index = siblings.indexOf(todo);
+    const target = siblings[index + delta];
+    if (!target) return;
+    
+    pendingFocusRef.current = todo.id;
+    commit(`Move "${todo.text}"`, todos =>
+      moveInTree(todos, todo.id, target.id, delta < 0 ? 'before' : 'after')
+    );
+    setAnnouncement(`Moved "${todo.text}" to position ${index + delta + 1} of ${siblings.length}`);
+  };
+  
+  // Alt+Right nests under the previous sibling, Alt+Left moves up a level
+  const indent = (todo) => {
+    const siblings = visibleTodos.filter(item => item.parentId === todo.parentId);
+    const newParent = siblings[siblings.indexOf(todo) - 1];
+    if (!newParent) return;
+    
+    pendingFocusRef.current = todo.id;
+    commit(`Indent "${todo.text}"`, todos => nestUnder(todos, todo.id, newParent.id));
+    setAnnouncement(`"${todo.text}" is now a subtask of "${newParent.text}"`);
+  };
+  
+  const outdent = (todo) => {
+    if (todo.parentId === null) return;
+    
+    const parent = todos.find(item => item.id === todo.parentId);
+    pendingFocusRef.current = todo.id;
+    commit(`Outdent "${todo.text}"`, todos => moveInTree(todos, todo.id, parent.id, 'after'));
+    setAnnouncement(`Moved "${todo.text}" out of "${parent.text}"`);
+  };
+  
+  const handleRowKeyDown = (e, todo) => {
+    if (drag && e.key === 'Escape') {
+      setDrag(null);
+      setAnnouncement(`Cancelled moving "${todo.text}"`);
+      return;
+    }
+    if (!canReorder || !e.altKey || editingId === todo.id) return;
+    
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      moveBy(todo, e.key === 'ArrowUp' ? -1 : 1);
+    } else if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      indent(todo);
+    } else if (e.key === 'ArrowLeft') {
+      e.preventDefault();
+      outdent(todo);
+    }
+  };
+  
+  // Pointer events cover mouse, pen and touch with one code path
+  const handlePointerDown = (e, todo) => {
+    if (!canReorder) return;
+    
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ id: todo.id, targetId: null, position: null });
+    setAnnouncement(`Picked up "${todo.text}". Drag to reorder, Escape cancels.`);
+  };
+  
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    
+    const element = document.elementFromPoint(e.clientX, e.clientY);
+    const row = element && element.closest('[data-todo-id]');
+    const target = row && visibleTodos.find(todo => String(todo.id) === row.dataset.todoId);
+    
+    // A todo can't be dropped inside its own subtree
+    if (!target || target.id === drag.id || descendantIds(todos, drag.id).has(target.id)) {
+      if (drag.targetId !== null) setDrag({ ...drag, targetId: null, position: null });
+      return;
+    }
+    
+    const rect = row.getBoundingClientRect();
+    const position = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    if (target.id !== drag.targetId || position !== drag.position) {
+      setDrag({ ...drag, targetId: target.id, position });
+    }
+  };
+  
+  const handlePointerUp = () => {
+    if (!drag) return;
+    
+    const todo = visibleTodos.find(item => item.id === drag.id);
+    setDrag(null);
+    if (!todo || drag.targetId === null) {
+      setAnnouncement(todo ? `Dropped "${todo.text}" in its original position` : '');
+      return;
+    }
+    
+    const target = visibleTodos.find(item => item.id === drag.targetId);
+    pendingFocusRef.current = todo.id;
+    commit(`Move "${todo.text}"`, todos => moveInTree(todos, drag.id, drag.targetId, drag.position));
+    setAnnouncement(`Moved "${todo.text}" ${drag.position} "${target.text}"`);
+  };
+  
+  const dropIndicator = (todo) => {
+    if (!drag || drag.targetId !== todo.id) return 'none';
+    return `inset 0 ${drag.position === 'before' ? 3 : -3}px 0 ${color.primary}`;
+  };
   
   return (
-    <div style={{ maxWidth: '600px', margin: '0 auto', padding: '20px' }}>
-      <h1>My Todo List</h1>
+    <div style={{ maxWidth: '600px', margin: '0 auto', padding: space.xl }}>
+      <h1 style={{ display: 'flex', alignItems: 'center' }}>
+        <span style={{ flex: 1 }}>My Todo List</span>
+        {apiUrl && <SyncIndicator {...syncStatus} />}
+      </h1>
+      
+      {/* Storage and Sync Warnings */}
+      {warning && (
+        <div
+          role="alert"
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            padding: space.md,
+            marginBottom: space.xl,
+            background: color.warningBackground,
+            border: `1px solid ${color.warning}`,
+            borderRadius: radius.sm
+          }}
+        >
+          <span style={{ flex: 1 }}>{warning}</span>
+          <Button variant="ghost" size="sm" onClick={() => dispatch({ type: 'warn', warning: null })}>
+            Dismiss
+          </Button>
+        </div>
+      )}
       
       {/* Add Todo Input */}
-      <div style={{ display: 'flex', marginBottom: '20px' }}>
-        <input
-          type="text"
+      <div style={{ display: 'flex', gap: space.md, marginBottom: space.xl }}>
+        <TextInput
+          size="lg"
           value={newTodo}
           onChange={(e) => setNewTodo(e.target.value)}
-          onKeyPress={(e) => e.key === 'Enter' && addTodo()}
+          onKeyDown={(e) => e.key === 'Enter' && !e.nativeEvent.isComposing && addTodo()}
           placeholder="What needs to be done?"
-          style={{
-            flex: 1,
-            padding: '10px',
-            fontSize: '16px',
-            border: '1px solid #ddd',
-            borderRadius: '4px'
-          }}
+          style={{ flex: 1 }}
         />
-        <button
-          onClick={addTodo}
-          style={{
-            marginLeft: '10px',
-            padding: '10px 20px',
-            background: '#007bff',
-            color: 'white',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer'
-          }}
+        <Button onClick={addTodo}>Add</Button>
+      </div>
+      
+      {/* New Todo Details */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: space.md, marginTop: '-10px', marginBottom: space.xl }}>
+        <label>
+          Due:{' '}
+          <TextInput
+            type="date"
+            size="sm"
+            value={newDueDate}
+            onChange={(e) => setNewDueDate(e.target.value)}
+            style={{ width: 'auto' }}
+          />
+        </label>
+        <label>
+          Priority:{' '}
+          <Select size="sm" value={newPriority} onChange={(e) => setNewPriority(e.target.value)}>
+            <option value="">None</option>
+            {PRIORITIES.map(priority => (
+              <option key={priority} value={priority}>{priority}</option>
+            ))}
+          </Select>
+        </label>
+        <TextInput
+          size="sm"
+          value={newTags}
+          onChange={(e) => setNewTags(e.target.value)}
+          placeholder="Tags (work, home)"
+          style={{ flex: 1 }}
+        />
+      </div>
+      
+      {/* Undo / Redo */}
+      <div style={{ marginBottom: space.xl }}>
+        <Button
+          variant="subtle"
+          size="sm"
+          onClick={() => dispatch({ type: 'undo' })}
+          disabled={!lastChange}
+          title={lastChange ? `Undo: ${lastChange.label} (Ctrl+Z)` : 'Nothing to undo'}
+          style={{ marginRight: space.xs }}
         >
-          Add
-        </button>
+          Undo
+        </Button>
+        <Button
+          variant="subtle"
+          size="sm"
+          onClick={() => dispatch({ type: 'redo' })}
+          disabled={!nextChange}
+          title={nextChange ? `Redo: ${nextChange.label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+        >
+          Redo
+        </Button>
       </div>
       
       {/* Todo Stats */}
-      <div style={{ marginBottom: '20px', color: '#666' }}>
+      <div style={{ marginBottom: space.xl, color: color.muted }}>
         <span>Total: {todos.length} | </span>
-        <span>Active: {activeCount} | </span>
+        <span><strong>{activeCount}</strong> {activeCount === 1 ? 'item' : 'items'} left | </span>
         <span>Completed: {completedCount}</span>
       </div>
       
-      {/* Filter Buttons */}
-      <div style={{ marginBottom: '20px' }}>
-        <button
-          onClick={() => setFilter('all')}
-          style={{
-            marginRight: '5px',
-            padding: '5px 15px',
-            background: filter === 'all' ? '#007bff' : '#f0f0f0',
-            color: filter === 'all' ? 'white' : 'black',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer'
-          }}
-        >
-          All
-        </button>
-        <button
-          onClick={() => setFilter('active')}
-          style={{
-            marginRight: '5px',
-            padding: '5px 15px',
-            background: filter === 'active' ? '#007bff' : '#f0f0f0',
-            color: filter === 'active' ? 'white' : 'black',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer'
-          }}
-        >
-          Active
-        </button>
-        <button
-          onClick={() => setFilter('completed')}
-          style={{
-            padding: '5px 15px',
-            background: filter === 'completed' ? '#007bff' : '#f0f0f0',
-            color: filter === 'completed' ? 'white' : 'black',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer'
-          }}
-        >
-          Completed
-        </button>
+      {/* Filter Links */}
+      <div style={{ marginBottom: space.xl }}>
+        {Object.entries(FILTER_HASHES).map(([key, hash]) => (
+          <a
+            key={key}
+            href={hash}
+            aria-current={filter === key ? 'page' : undefined}
+            style={{
+              display: 'inline-block',
+              marginRight: space.xs,
+              padding: `${space.xs} ${space.lg}`,
+              background: filter === key ? color.primary : color.subtle,
+              color: filter === key ? color.textInverse : color.text,
+              borderRadius: radius.sm,
+              textDecoration: 'none'
+            }}
+          >
+            {key === 'all' ? 'All' : key === 'active' ? 'Active' : 'Completed'}
+          </a>
+        ))}
+      </div>
+      
+      {/* Search and Sort */}
+      <div style={{ marginBottom: space.xl }}>
+        <div style={{ display: 'flex', gap: space.md }}>
+          <TextInput
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search, e.g. tag:work priority:high due:<2026-11-01 -is:done"
+            aria-label="Search todos"
+            invalid={queryErrors.length > 0}
+            style={{ flex: 1 }}
+          />
+          <Select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            aria-label="Sort todos"
+          >
+            {Object.entries(SORT_OPTIONS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </Select>
+        </div>
+        {queryErrors.map(error => (
+          <div key={error} style={{ color: color.error, fontSize: fontSize.sm }}>{error}</div>
+        ))}
       </div>
       
+      {/* Reorder Announcements */}
+      <div aria-live="assertive" style={visuallyHidden}>{announcement}</div>
+      <span id="reorder-help" style={visuallyHidden}>
+        Press Alt+Up or Alt+Down to move this todo, Alt+Right to make it a subtask
+        of the one above and Alt+Left to move it out of its parent, or drag it with the mouse.
+      </span>
+      
+      {/* Toggle All */}
+      {todos.length > 0 && (
+        <Checkbox
+          label="Mark all as complete"
+          checked={allCompleted}
+          onChange={() => toggleAll(!allCompleted)}
+          style={{ marginBottom: space.md }}
+        />
+      )}
+      
       {/* Todo List */}
-      {filteredTodos.length > 0 ? (
+      {rows.length > 0 ? (
         <ul style={{ listStyle: 'none', padding: 0 }}>
-          {filteredTodos.map(todo => (
+          {rows.map(({ todo, depth, hasChildren, matches, progress }) => (
             <li
               key={todo.id}
+              data-todo-id={todo.id}
+              onKeyDown={(e) => handleRowKeyDown(e, todo)}
               style={{
                 display: 'flex',
+                flexWrap: 'wrap',
                 alignItems: 'center',
-                padding: '10px',
-                marginBottom: '5px',
-                background: todo.completed ? '#f0f0f0' : 'white',
-                border: '1px solid #ddd',
-                borderRadius: '4px',
+                padding: space.md,
+                marginBottom: space.xs,
+                marginLeft: `${depth * 24}px`,
+                background: todo.completed ? color.subtle : color.surface,
+                border: isOverdue(todo, today) ? `2px solid ${color.danger}` : `1px solid ${color.border}`,
+                borderRadius: radius.sm,
+                boxShadow: dropIndicator(todo),
                 textDecoration: todo.completed ? 'line-through' : 'none',
-                opacity: todo.completed ? 0.6 : 1
+                // Parents shown only because a subtask matches are dimmed
+                opacity: drag && drag.id === todo.id ? 0.4 : todo.completed || !matches ? 0.6 : 1
               }}
             >
-              <input
-                type="checkbox"
-                checked={todo.completed}
-                onChange={() => toggleTodo(todo.id)}
-                style={{ marginRight: '10px', cursor: 'pointer' }}
-              />
-              <span style={{ flex: 1 }}>{todo.text}</span>
               <button
-                onClick={() => deleteTodo(todo.id)}
+                onClick={() => toggleCollapsed(todo.id)}
+                disabled={!hasChildren}
+                aria-expanded={hasChildren ? !todo.collapsed : undefined}
+                aria-label={todo.collapsed ? `Expand "${todo.text}"` : `Collapse "${todo.text}"`}
                 style={{
-                  padding: '5px 10px',
-                  background: '#dc3545',
-                  color: 'white',
+                  width: '20px',
+                  padding: 0,
+                  background: 'none',
                   border: 'none',
-                  borderRadius: '4px',
-                  cursor: 'pointer'
+                  cursor: hasChildren ? 'pointer' : 'default',
+                  visibility: hasChildren ? 'visible' : 'hidden'
                 }}
               >
-                Delete
+                {todo.collapsed ? '▸' : '▾'}
+              </button>
+              <button
+                ref={(element) => {
+                  if (element) handleRefs.current.set(todo.id, element);
+                  else handleRefs.current.delete(todo.id);
+                }}
+                onPointerDown={(e) => handlePointerDown(e, todo)}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={() => setDrag(null)}
+                disabled={!canReorder}
+                aria-label={`Reorder "${todo.text}"`}
+                aria-describedby="reorder-help"
+                title={canReorder ? 'Drag or press Alt+Up/Down to reorder' : 'Switch to Manual sort to reorder'}
+                style={{
+                  marginRight: '10px',
+                  padding: '0 5px',
+                  background: 'none',
+                  border: 'none',
+                  color: color.faint,
+                  cursor: canReorder ? 'grab' : 'not-allowed',
+                  touchAction: 'none'
+                }}
+              >
+                ⠿
               </button>
+              <Checkbox
+                checked={todo.completed}
+                onChange={() => toggleTodo(todo)}
+                style={{ marginRight: space.md }}
+              />
+              {editingId === todo.id ? (
+                <TextInput
+                  size="sm"
+                  value={editText}
+                  onChange={(e) => setEditText(e.target.value)}
+                  onKeyDown={(e) => handleEditKeyDown(e, todo)}
+                  onBlur={() => finishEditing(todo)}
+                  aria-label={`Edit "${todo.text}"`}
+                  autoFocus
+                  style={{ flex: 1, fontSize: fontSize.md, marginRight: space.md }}
+                />
+              ) : (
+                <span
+                  onDoubleClick={() => startEditing(todo)}
+                  title="Double-click to edit"
+                  style={{ flex: 1 }}
+                >
+                  {todo.text}
+                  <TodoMeta todo={todo} overdue={isOverdue(todo, today)} />
+                  {progress && <SubtaskProgress {...progress} />}
+                </span>
+              )}
+              <Button
+                variant="subtle"
+                size="sm"
+                onClick={() => {
+                  setSubtaskParentId(subtaskParentId === todo.id ? null : todo.id);
+                  setSubtaskText('');
+                }}
+                aria-label={`Add subtask to "${todo.text}"`}
+                title="Add subtask"
+                style={{ marginRight: space.xs }}
+              >
+                +
+              </Button>
+              <Button variant="danger" size="sm" onClick={() => deleteTodo(todo.id)}>
+                Delete
+              </Button>
+              
+              {/* New Subtask Input */}
+              {subtaskParentId === todo.id && (
+                <TextInput
+                  size="sm"
+                  value={subtaskText}
+                  onChange={(e) => setSubtaskText(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.nativeEvent.isComposing) addSubtask(todo);
+                    if (e.key === 'Escape') setSubtaskParentId(null);
+                  }}
+                  placeholder="New subtask, Enter to add"
+                  aria-label={`New subtask of "${todo.text}"`}
+                  autoFocus
+                  style={{ flexBasis: '100%', marginTop: space.sm }}
+                />
+              )}
             </li>
           ))}
         </ul>
@@ -184,31 +893,215 @@ function TodoListApp() {
           style={{
             textAlign: 'center',
             padding: '40px',
-            color: '#999'
+            color: color.faint
           }}
         >
-          {filter === 'all' && 'No todos yet. Add one above!'}
-          {filter === 'active' && 'No active todos!'}
-          {filter === 'completed' && 'No completed todos!'}
+          {terms.length > 0 && 'No todos match your search.'}
+          {terms.length === 0 && filter === 'all' && 'No todos yet. Add one above!'}
+          {terms.length === 0 && filter === 'active' && 'No active todos!'}
+          {terms.length === 0 && filter === 'completed' && 'No completed todos!'}
         </div>
       )}
       
+      {/* Subtask Options */}
+      <Checkbox
+        label="Complete a todo automatically when all its subtasks are done"
+        checked={autoCompleteParents}
+        onChange={(e) => setAutoCompleteParents(e.target.checked)}
+        style={{ display: 'flex', marginTop: space.md, color: color.muted }}
+      />
+      
       {/* Clear Completed Button */}
       {completedCount > 0 && (
-        <button
-          onClick={clearCompleted}
+        <Button variant="warning" onClick={clearCompleted} style={{ marginTop: space.xl }}>
+          Clear Completed ({completedCount})
+        </Button>
+      )}
+      
+      <TodoTransferPanel todos={todos} onImport={importList} />
+    </div>
+  );
+}
+
+function SyncIndicator({ state, pending, message }) {
+  const { text, color: textColor } = SYNC_LABELS[state];
+  
+  return (
+    <span
+      role="status"
+      title={message || undefined}
+      style={{ fontSize: fontSize.sm, fontWeight: 'normal', color: textColor }}
+    >
+      ● {text}
+      {pending > 0 && ` (${pending} ${pending === 1 ? 'change' : 'changes'} queued)`}
+    </span>
+  );
+}
+
+function SubtaskProgress({ done, total }) {
+  return (
+    <span style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: fontSize.xs, color: color.muted }}>
+      <span
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={total}
+        aria-valuenow={done}
+        aria-label="Subtasks done"
+        style={{ width: '80px', height: '5px', background: color.border, borderRadius: '3px' }}
+      >
+        <span
+          style={{
+            display: 'block',
+            width: `${(done / total) * 100}%`,
+            height: '100%',
+            background: done === total ? color.success : color.primary,
+            borderRadius: '3px'
+          }}
+        />
+      </span>
+      {done}/{total} subtasks
+    </span>
+  );
+}
+
+function TodoMeta({ todo, overdue }) {
+  if (!todo.dueDate && !todo.priority && todo.tags.length === 0) return null;
+  
+  return (
+    <span style={{ display: 'block', fontSize: fontSize.xs, marginTop: '3px' }}>
+      {todo.priority && (
+        <span style={{ marginRight: space.sm, color: PRIORITY_COLORS[todo.priority], fontWeight: 'bold' }}>
+          {todo.priority}
+        </span>
+      )}
+      {todo.dueDate && (
+        <span style={{ marginRight: space.sm, color: overdue ? color.danger : color.muted }}>
+          {overdue ? 'Overdue: ' : 'Due: '}{todo.dueDate}
+        </span>
+      )}
+      {todo.tags.map(tag => (
+        <span
+          key={tag}
           style={{
-            marginTop: '20px',
-            padding: '10px 20px',
-            background: '#ffc107',
-            color: 'black',
-            border: 'none',
-            borderRadius: '4px',
-            cursor: 'pointer'
+            marginRight: space.xs,
+            padding: '1px 6px',
+            background: '#e9ecef',
+            borderRadius: radius.pill
           }}
         >
-          Clear Completed ({completedCount})
-        </button>
+          #{tag}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+function downloadFile(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function TodoTransferPanel({ todos, onImport }) {
+  const [format, setFormat] = useState('json');
+  const [mode, setMode] = useState('merge'); // merge, replace
+  const [report, setReport] = useState(null);
+  
+  const handleExport = () => {
+    const { extension, mimeType } = FORMATS[format];
+    downloadFile(exportTodos(todos, format), `todos.${extension}`, mimeType);
+  };
+  
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow importing the same file again
+    if (!file) return;
+    
+    const fileFormat = detectFormat(file.name) || format;
+    try {
+      const { todos: imported, errors } = importTodos(await file.text(), fileFormat);
+      
+      if (imported.length > 0) onImport(imported, mode);
+      setReport({ fileName: file.name, imported: imported.length, errors });
+    } catch (err) {
+      // The file couldn't be read, or it broke the importer
+      setReport({ fileName: file.name, imported: 0, errors: [{ location: 'File', message: err.message }] });
+    }
+  };
+  
+  return (
+    <div style={{ marginTop: '30px', paddingTop: space.xl, borderTop: `1px solid ${color.border}` }}>
+      <h3>Import / Export</h3>
+      
+      <div style={{ display: 'flex', alignItems: 'center', gap: space.md, flexWrap: 'wrap' }}>
+        <label>
+          Format:{' '}
+          <Select size="sm" value={format} onChange={(e) => setFormat(e.target.value)}>
+            {Object.entries(FORMATS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </Select>
+        </label>
+        
+        <Button size="sm" onClick={handleExport}>
+          Export
+        </Button>
+        
+        <label>
+          <input
+            type="radio"
+            name="importMode"
+            value="merge"
+            checked={mode === 'merge'}
+            onChange={() => setMode('merge')}
+          />
+          Merge
+        </label>
+        <label>
+          <input
+            type="radio"
+            name="importMode"
+            value="replace"
+            checked={mode === 'replace'}
+            onChange={() => setMode('replace')}
+          />
+          Replace
+        </label>
+        
+        <label style={{ cursor: 'pointer' }}>
+          Import file:{' '}
+          <input type="file" accept=".json,.csv,.txt" onChange={handleImport} />
+        </label>
+      </div>
+      
+      {/* Import Report */}
+      {report && (
+        <div
+          role="status"
+          style={{
+            marginTop: space.lg,
+            padding: space.md,
+            background: report.errors.length > 0 ? color.warningBackground : color.successBackground,
+            borderRadius: radius.sm
+          }}
+        >
+          <p style={{ margin: 0 }}>
+            Imported {report.imported} todos from {report.fileName}
+            {report.errors.length > 0 && `, skipped ${report.errors.length} invalid entries:`}
+          </p>
+          {report.errors.length > 0 && (
+            <ul style={{ margin: `${space.xs} 0 0`, paddingLeft: space.xl }}>
+              {report.errors.map((error, index) => (
+                <li key={index}>
+                  <strong>{error.location}:</strong> {error.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
       )}
     </div>
   );
@@ -0,0 +1,52 @@
+// Manual ordering for TodoListApp
+// Each todo carries a numeric `order`. Moving a todo only changes its own
+// order (to a value between its new neighbours), so a move is a single
+// per-todo change that undo/redo and cross-tab merging already understand.
+
+const MIN_GAP = 1e-6;
+
+export const byOrder = (a, b) => a.order - b.order;
+
+// Give todos without an order (new or imported ones) a place at the end
+export function ensureOrder(todos) {
+  if (todos.every(todo => typeof todo.order === 'number')) return todos;
+
+  let next = Math.max(0, ...todos.map(todo => (typeof todo.order === 'number' ? todo.order + 1 : 0)));
+  return todos.map(todo => (typeof todo.order === 'number' ? todo : { ...todo, order: next++ }));
+}
+
+// Move `id` directly before or after `targetId` in the full list,
+// making it a sibling of the target. Works on the full list, so moving
+// within a filtered view never shuffles the todos hidden by the filter.
+// Order values are only compared between siblings, so any value between
+// the target and its neighbour in the full list keeps siblings in place.
+export function moveTodo(todos, id, targetId, position) {
+  if (id === targetId) return todos;
+
+  const ordered = todos.filter(todo => todo.id !== id).sort(byOrder);
+  const targetIndex = ordered.findIndex(todo => todo.id === targetId);
+  if (targetIndex === -1) return todos;
+  const parentId = ordered[targetIndex].parentId ?? null;
+
+  const insertAt = position === 'before' ? targetIndex : targetIndex + 1;
+  const prev = ordered[insertAt - 1];
+  const next = ordered[insertAt];
+
+  let order;
+  if (!prev) order = next.order - 1;
+  else if (!next) order = prev.order + 1;
+  else order = (prev.order + next.order) / 2;
+
+  // Out of room between the neighbours: renumber everything once
+  if ((prev && order - prev.order < MIN_GAP) || (next && next.order - order < MIN_GAP)) {
+    const moved = todos.find(todo => todo.id === id);
+    const renumbered = [...ordered.slice(0, insertAt), moved, ...ordered.slice(insertAt)];
+    const orders = new Map(renumbered.map((todo, index) => [todo.id, index]));
+    return todos.map(todo => {
+      if (todo.id === id) return { ...todo, order: orders.get(id), parentId };
+      return todo.order === orders.get(todo.id) ? todo : { ...todo, order: orders.get(todo.id) };
+    });
+  }
+
+  return todos.map(todo => (todo.id === id ? { ...todo, order, parentId } : todo));
+}
@@ -0,0 +1,141 @@
+// Search query language for TodoListApp
+//
+//   tag:work            has the tag "work"
+//   priority:high       priority is high (also >=medium, <high, ...)
+//   due:<2026-11-01     due before a date (<, <=, >, >=, = or none)
+//   due:today           due today; due:none has no due date
+//   is:done             also is:active, is:overdue
+//   -is:done            a leading "-" negates any term
+//   milk "two words"    plain words and quoted phrases search the text
+//
+// All terms must match.
+
+import { byOrder } from './todo-order';
+
+export const PRIORITIES = ['low', 'medium', 'high'];
+
+export const SORT_OPTIONS = {
+  manual: 'Manual',
+  due: 'Due date',
+  priority: 'Priority',
+  created: 'Newest first',
+  text: 'Alphabetical'
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Local calendar date as YYYY-MM-DD, matching <input type="date"> values
+export function todayString(now = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+export function isOverdue(todo, today = todayString()) {
+  return Boolean(todo.dueDate) && !todo.completed && todo.dueDate < today;
+}
+
+const compare = (left, op, right) => {
+  switch (op) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return left === right;
+  }
+};
+
+// Split on spaces, keeping "quoted phrases" (optionally negated) together
+const tokenize = (text) => text.match(/-?"[^"]*"|\S+/g) || [];
+
+function parseTerm(token) {
+  const negate = token.startsWith('-') && token.length > 1;
+  const body = negate ? token.slice(1) : token;
+
+  if (body.startsWith('"')) {
+    return { field: 'text', value: body.replace(/"/g, '').toLowerCase(), negate };
+  }
+
+  const match = body.match(/^(\w+):(<=|>=|<|>|=)?(.+)$/);
+  if (!match) return { field: 'text', value: body.toLowerCase(), negate };
+
+  const [, field, op = '=', rawValue] = match;
+  const value = rawValue.toLowerCase();
+
+  switch (field) {
+    case 'tag':
+      return { field, value, negate };
+    case 'is':
+      if (!['done', 'active', 'overdue'].includes(value)) {
+        throw new Error(`Unknown status "is:${value}", use done, active or overdue`);
+      }
+      return { field, value, negate };
+    case 'priority':
+      if (!PRIORITIES.includes(value)) {
+        throw new Error(`Unknown priority "${rawValue}", use ${PRIORITIES.join(', ')}`);
+      }
+      return { field, op, value, negate };
+    case 'due':
+      if (value === 'none' || value === 'today') return { field, op, value, negate };
+      if (!DATE.test(value)) throw new Error(`Due date "${rawValue}" must be YYYY-MM-DD`);
+      return { field, op, value, negate };
+    default:
+      throw new Error(`Unknown filter "${field}:", use tag, priority, due or is`);
+  }
+}
+
+// Returns { terms, errors }; invalid terms are reported and left out
+export function parseQuery(text) {
+  const terms = [];
+  const errors = [];
+
+  tokenize(text).forEach(token => {
+    try {
+      terms.push(parseTerm(token));
+    } catch (err) {
+      errors.push(err.message);
+    }
+  });
+
+  return { terms, errors };
+}
+
+function matchesTerm(todo, term, today) {
+  switch (term.field) {
+    case 'tag':
+      return todo.tags.some(tag => tag.toLowerCase() === term.value);
+    case 'is':
+      if (term.value === 'done') return todo.completed;
+      if (term.value === 'active') return !todo.completed;
+      return isOverdue(todo, today);
+    case 'priority':
+      return Boolean(todo.priority) && compare(
+        PRIORITIES.indexOf(todo.priority),
+        term.op,
+        PRIORITIES.indexOf(term.value)
+      );
+    case 'due':
+      if (term.value === 'none') return !todo.dueDate;
+      return Boolean(todo.dueDate) &&
+        compare(todo.dueDate, term.op, term.value === 'today' ? today : term.value);
+    default:
+      return todo.text.toLowerCase().includes(term.value);
+  }
+}
+
+export function matchesQuery(todo, terms, today = todayString()) {
+  return terms.every(term => matchesTerm(todo, term, today) !== term.negate);
+}
+
+// Missing values always sort last
+const comparators = {
+  due: (a, b) => (a.dueDate || '9999-99-99').localeCompare(b.dueDate || '9999-99-99'),
+  priority: (a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority),
+  created: (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt),
+  text: (a, b) => a.text.localeCompare(b.text)
+};
+
+// Sorting is stable, so ties keep their manual order
+export function sortTodos(todos, sortBy) {
+  const ordered = [...todos].sort(byOrder);
+  return comparators[sortBy] ? ordered.sort(comparators[sortBy]) : ordered;
+}
@@ -0,0 +1,160 @@
+// Server sync for TodoListApp
+// Local changes apply immediately and are queued in an outbox that lives in
+// the same storage as the todos, so every tab shares one queue and it
+// survives reloads. The queue is replayed oldest first whenever the server
+// is reachable. A change the server rejects is rolled back by the app.
+
+import { ApiError } from './todo-api';
+import { createTodoId } from './todo-id';
+
+const time = (iso) => Date.parse(iso) || 0;
+
+// Web Locks keep two tabs from editing or replaying the queue at once
+const withLock = (name, callback) =>
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request(name, callback)
+    : callback();
+
+// Turn diffTodos() changes into queued operations. `before` is kept so a
+// rejected operation can be rolled back.
+export function opsFromChanges(changes, tombstones) {
+  return changes.map(({ id, before, after }) => ({
+    opId: createTodoId(),
+    type: after ? 'put' : 'delete',
+    id,
+    todo: after,
+    before,
+    deletedAt: after ? null : tombstones[id] || new Date().toISOString()
+  }));
+}
+
+export function createOutbox(store) {
+  const key = `${store.key}:outbox`;
+
+  const read = async () => {
+    try {
+      const ops = JSON.parse(await store.adapter.read(key));
+      return Array.isArray(ops) ? ops : [];
+    } catch (err) {
+      return [];
+    }
+  };
+
+  const update = (change) => withLock(key, async () => {
+    const ops = change(await read());
+    await store.adapter.write(key, JSON.stringify(ops));
+    return ops;
+  });
+
+  return {
+    list: read,
+    enqueue: (ops) => update(queue => [...queue, ...ops]),
+    remove: (opId) => update(queue => queue.filter(op => op.opId !== opId)),
+    // Later changes to a rejected todo build on the rejected one, so they go too
+    dropFor: (id) => update(queue => queue.filter(op => op.id !== id))
+  };
+}
+
+// Operations the server needs to catch up with the local snapshot,
+// using the same last-writer-wins rules as tab sync
+function missingOnServer(local, remote) {
+  const remoteById = new Map(remote.todos.map(todo => [todo.id, todo]));
+  const ops = [];
+
+  local.todos.forEach(todo => {
+    const remoteTodo = remoteById.get(todo.id);
+    const deletedAt = remote.tombstones[todo.id];
+    if (deletedAt && time(deletedAt) >= time(todo.updatedAt)) return;
+    if (remoteTodo && time(remoteTodo.updatedAt) >= time(todo.updatedAt)) return;
+    ops.push({ id: todo.id, before: remoteTodo || null, after: todo });
+  });
+
+  Object.entries(local.tombstones).forEach(([id, deletedAt]) => {
+    const remoteTodo = remote.todos.find(todo => String(todo.id) === id);
+    if (remoteTodo && time(remoteTodo.updatedAt) <= time(deletedAt)) {
+      ops.push({ id: remoteTodo.id, before: remoteTodo, after: null });
+    }
+  });
+
+  return opsFromChanges(ops, local.tombstones);
+}
+
+// onStatus({ state, pending, message }) where state is synced, syncing, offline or error
+export function createServerSync({ api, outbox, lockName, onStatus, onRejected, onSnapshot }) {
+  let running = false;
+  let runAgain = false;
+
+  const report = (state, pending, message = null) => onStatus({ state, pending, message });
+
+  const failureState = (err) => (err instanceof ApiError ? 'error' : 'offline');
+
+  const send = (op) => (op.type === 'put' ? api.put(op.todo) : api.remove(op.id, op.deletedAt));
+
+  // Returns false when it had to stop early
+  const replay = async () => {
+    let queue = await outbox.list();
+    report(queue.length > 0 ? 'syncing' : 'synced', queue.length);
+
+    while (queue.length > 0) {
+      const op = queue[0];
+      try {
+        await send(op);
+        queue = await outbox.remove(op.opId);
+      } catch (err) {
+        if (!(err instanceof ApiError && err.isRejection)) {
+          // Offline or a server error: keep the queue and try again later
+          report(failureState(err), queue.length, err.message);
+          return false;
+        }
+        queue = await outbox.dropFor(op.id);
+        onRejected(op, err);
+      }
+      report(queue.length > 0 ? 'syncing' : 'synced', queue.length);
+    }
+
+    return true;
+  };
+
+  const flush = async () => {
+    if (running) {
+      runAgain = true;
+      return;
+    }
+
+    running = true;
+    try {
+      let completed;
+      do {
+        runAgain = false;
+        completed = await withLock(lockName, replay);
+      } while (runAgain && completed);
+    } finally {
+      running = false;
+    }
+  };
+
+  const push = async (changes, tombstones) => {
+    if (changes.length === 0) return;
+    await outbox.enqueue(opsFromChanges(changes, tombstones));
+    await flush();
+  };
+
+  // Two-way reconcile: queue what the server is missing, merge in what
+  // we are missing, then replay the queue
+  const pull = async (getLocal) => {
+    let remote;
+    try {
+      remote = await api.list();
+    } catch (err) {
+      report(failureState(err), (await outbox.list()).length, err.message);
+      return;
+    }
+
+    const ops = missingOnServer(getLocal(), remote);
+    if (ops.length > 0) await outbox.enqueue(ops);
+    onSnapshot(remote);
+    await flush();
+  };
+
+  return { push, pull, flush };
+}
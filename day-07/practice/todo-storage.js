@@ -0,0 +1,299 @@
+// Persistence layer for TodoListApp
+// A store wraps a storage adapter (localStorage, IndexedDB or memory),
+// stamps saved data with a schema version and migrates older data on load.
+
+import { createHistory, isValidHistory } from './todo-history';
+
+export const SCHEMA_VERSION = 5;
+export const STORAGE_KEY = 'todo-list-app';
+
+// Keys written by the unversioned app, before the storage layer existed
+const LEGACY_TODOS_KEY = 'todos';
+const LEGACY_HISTORY_KEY = 'todos-history';
+
+// ---------- Adapters ----------
+// Every adapter stores strings and exposes the same async interface,
+// so the store doesn't care which backend it talks to.
+
+export function createLocalStorageAdapter(storage = window.localStorage) {
+  return {
+    name: 'localStorage',
+    read: async (key) => storage.getItem(key),
+    write: async (key, value) => storage.setItem(key, value),
+    remove: async (key) => storage.removeItem(key)
+  };
+}
+
+export function createMemoryAdapter(initialData = {}) {
+  const data = new Map(Object.entries(initialData));
+
+  return {
+    name: 'memory',
+    read: async (key) => (data.has(key) ? data.get(key) : null),
+    write: async (key, value) => { data.set(key, value); },
+    remove: async (key) => { data.delete(key); }
+  };
+}
+
+export function createIndexedDBAdapter(dbName = 'todo-list-app', storeName = 'keyval') {
+  let dbPromise = null;
+
+  const openDB = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    name: 'indexedDB',
+    read: async (key) => {
+      const value = await run('readonly', store => store.get(key));
+      return value === undefined ? null : value;
+    },
+    write: async (key, value) => { await run('readwrite', store => store.put(value, key)); },
+    remove: async (key) => { await run('readwrite', store => store.delete(key)); }
+  };
+}
+
+// ---------- Migrations ----------
+// migrations[n] upgrades data saved at version n to version n + 1.
+
+function normalizeTodo(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (raw.id === undefined || raw.id === null) return null;
+  if (typeof raw.text !== 'string' || !raw.text.trim()) return null;
+
+  const createdAt = isNaN(Date.parse(raw.createdAt))
+    ? new Date().toISOString()
+    : raw.createdAt;
+
+  return {
+    id: raw.id,
+    text: raw.text,
+    completed: Boolean(raw.completed),
+    createdAt,
+    updatedAt: isNaN(Date.parse(raw.updatedAt)) ? createdAt : raw.updatedAt
+  };
+}
+
+const migrations = {
+  // Version 0 is the bare `{id, text, completed, createdAt}` array
+  0: (data) => ({
+    version: 1,
+    todos: Array.isArray(data.todos) ? data.todos.map(normalizeTodo).filter(Boolean) : [],
+    history: isValidHistory(data.history) ? data.history : createHistory()
+  }),
+  // Version 2 remembers deleted ids so other tabs can't resurrect them
+  1: (data) => ({ ...data, version: 2, tombstones: {} }),
+  // Version 3 adds an optional due date, a priority and tags
+  2: (data) => ({
+    ...data,
+    version: 3,
+    todos: data.todos.map(todo => ({ ...todo, dueDate: null, priority: null, tags: [] }))
+  }),
+  // Version 4 stores the manual order, starting from the saved array order
+  3: (data) => ({
+    ...data,
+    version: 4,
+    todos: data.todos.map((todo, index) => ({ ...todo, order: index }))
+  }),
+  // Version 5 adds subtasks: every todo gets a parent link and a collapsed flag
+  4: (data) => ({
+    ...data,
+    version: 5,
+    todos: data.todos.map(todo => ({ ...todo, parentId: null, collapsed: false }))
+  })
+};
+
+export function migrate(data) {
+  let current = data;
+
+  if (current.version > SCHEMA_VERSION) {
+    throw new Error(`Saved data uses schema version ${current.version}, newer than this app`);
+  }
+  // Migrations after the first one expect a list to work on
+  if (current.version > 0 && !Array.isArray(current.todos)) {
+    throw new Error('Saved todos are missing their list');
+  }
+
+  while (current.version < SCHEMA_VERSION) {
+    const upgrade = migrations[current.version];
+    if (!upgrade) throw new Error(`No migration from schema version ${current.version}`);
+    current = upgrade(current);
+  }
+
+  return current;
+}
+
+// ---------- Validation ----------
+// Migrations only add fields, so whatever was broken before them is still
+// broken after. Fields a todo can live without get their default; todos
+// without an id or text, and a malformed history or tombstones, are dropped.
+
+function normalizeCurrentTodo(raw, index) {
+  const todo = normalizeTodo(raw);
+  if (!todo) return null;
+
+  return {
+    ...raw,
+    ...todo,
+    dueDate: typeof raw.dueDate === 'string' && raw.dueDate ? raw.dueDate : null,
+    priority: typeof raw.priority === 'string' && raw.priority ? raw.priority : null,
+    tags: Array.isArray(raw.tags) ? raw.tags.filter(tag => typeof tag === 'string') : [],
+    order: Number.isFinite(raw.order) ? raw.order : index,
+    parentId: raw.parentId ?? null,
+    collapsed: Boolean(raw.collapsed)
+  };
+}
+
+const isValidTombstones = (tombstones) =>
+  Boolean(tombstones) && typeof tombstones === 'object' && !Array.isArray(tombstones) &&
+  Object.values(tombstones).every(deletedAt => !isNaN(Date.parse(deletedAt)));
+
+// Returns the usable state, with `repaired` set when something was dropped
+function normalizeState({ todos, history, tombstones }) {
+  const validTodos = todos.map(normalizeCurrentTodo).filter(Boolean);
+  const validHistory = isValidHistory(history);
+  const validTombstones = isValidTombstones(tombstones);
+
+  return {
+    todos: validTodos,
+    history: validHistory ? history : createHistory(),
+    tombstones: validTombstones ? tombstones : {},
+    repaired: validTodos.length < todos.length || !validHistory || !validTombstones
+  };
+}
+
+// ---------- Store ----------
+
+const emptyState = () => ({ todos: [], history: createHistory(), tombstones: {} });
+
+const parse = (raw) => {
+  try {
+    return { value: JSON.parse(raw) };
+  } catch (err) {
+    return { error: err };
+  }
+};
+
+// FNV-1a, to name a backup after its contents
+function checksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+export function createTodoStore(adapter = createLocalStorageAdapter(), key = STORAGE_KEY) {
+  const save = async ({ todos, history, tombstones }) => {
+    await adapter.write(key, JSON.stringify({ version: SCHEMA_VERSION, todos, history, tombstones }));
+  };
+
+  // Keep a copy of unreadable data instead of silently overwriting it.
+  // The copy is named after its contents, so data that is still unreadable
+  // on the next load isn't backed up a second time.
+  const quarantine = async (raw) => {
+    const backupKey = `${key}:corrupt-${checksum(raw)}`;
+    try {
+      if (await adapter.read(backupKey) === null) await adapter.write(backupKey, raw);
+    } catch (err) {
+      console.error('Could not back up corrupted todos:', err);
+    }
+  };
+
+  // Back up `raw` (unless that already happened) and save what could be
+  // recovered in its place, so the next load starts from clean data and
+  // doesn't warn again
+  const recover = async (raw, state, warning) => {
+    if (raw !== null) await quarantine(raw);
+    try {
+      await save(state);
+    } catch (err) {
+      console.error('Could not save recovered todos:', err);
+    }
+    return { ...state, warning };
+  };
+
+  const readLegacy = async () => {
+    const rawTodos = await adapter.read(LEGACY_TODOS_KEY);
+    if (rawTodos === null) return null;
+
+    const todos = parse(rawTodos);
+    const history = parse(await adapter.read(LEGACY_HISTORY_KEY));
+
+    if (todos.error || !Array.isArray(todos.value)) {
+      await quarantine(rawTodos);
+      return { version: 0, todos: [], history: null, recovered: true };
+    }
+
+    return { version: 0, todos: todos.value, history: history.error ? null : history.value };
+  };
+
+  // Always resolves: { todos, history, tombstones, warning },
+  // where warning explains any recovery
+  const load = async () => {
+    let raw;
+    try {
+      raw = await adapter.read(key);
+    } catch (err) {
+      return { ...emptyState(), warning: `Could not read saved todos (${err.message})` };
+    }
+
+    let data;
+    if (raw === null) {
+      data = await readLegacy();
+      if (!data) return { ...emptyState(), warning: null };
+    } else {
+      const parsed = parse(raw);
+      if (parsed.error || !parsed.value || typeof parsed.value.version !== 'number') {
+        return recover(raw, emptyState(), 'Saved todos were corrupted and have been reset');
+      }
+      data = parsed.value;
+    }
+
+    const original = raw === null ? JSON.stringify(data) : raw;
+
+    let migrated;
+    try {
+      migrated = migrate(data);
+    } catch (err) {
+      // Data from a newer version of the app stays where it is, for that
+      // version to read; the app doesn't save until the user changes something
+      if (data.version > SCHEMA_VERSION) {
+        await quarantine(original);
+        return { ...emptyState(), warning: err.message };
+      }
+      return recover(original, emptyState(), err.message);
+    }
+
+    const { todos, history, tombstones, repaired } = normalizeState(migrated);
+    // readLegacy has backed up the legacy todos already
+    if (data.recovered) {
+      return recover(null, { todos, history, tombstones }, 'Saved todos were corrupted and have been reset');
+    }
+    if (repaired) {
+      return recover(original, { todos, history, tombstones }, 'Some saved todos could not be read and have been set aside');
+    }
+
+    return { todos, history, tombstones, warning: null };
+  };
+
+  return { adapter, key, load, save };
+}
@@ -0,0 +1,118 @@
+// Cross-tab synchronization for TodoListApp
+// Tabs exchange their { todos, tombstones } snapshots and merge them per todo id.
+// The newest `updatedAt` wins, and a tombstone (deletion time) beats any
+// version of the todo that is not newer than it, so a stale tab can't
+// bring a deleted todo back.
+
+import { migrate } from './todo-storage';
+
+// Tombstones older than this are forgotten to keep saved data small
+export const TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+const time = (iso) => Date.parse(iso) || 0;
+
+// Stamp a local change: touched todos get a fresh `updatedAt`,
+// removed todos get a tombstone and restored todos lose theirs
+export function stampChanges(prevTodos, nextTodos, tombstones, now = new Date()) {
+  const nowIso = now.toISOString();
+  const prevById = new Map(prevTodos.map(todo => [todo.id, todo]));
+  const nextIds = new Set(nextTodos.map(todo => todo.id));
+  const nextTombstones = {};
+
+  Object.entries(tombstones).forEach(([id, deletedAt]) => {
+    if (now - time(deletedAt) < TOMBSTONE_TTL) nextTombstones[id] = deletedAt;
+  });
+
+  const todos = nextTodos.map(todo => {
+    if (prevById.get(todo.id) === todo) return todo;
+    delete nextTombstones[todo.id];
+    return { ...todo, updatedAt: nowIso };
+  });
+
+  prevTodos.forEach(todo => {
+    if (!nextIds.has(todo.id)) nextTombstones[todo.id] = nowIso;
+  });
+
+  return { todos, tombstones: nextTombstones };
+}
+
+// Merge a remote snapshot into the local one.
+// Returns the local objects untouched when nothing changed.
+export function mergeSnapshots(local, remote) {
+  const tombstones = { ...local.tombstones };
+  let changed = false;
+
+  Object.entries(remote.tombstones).forEach(([id, deletedAt]) => {
+    if (!tombstones[id] || time(deletedAt) > time(tombstones[id])) {
+      tombstones[id] = deletedAt;
+      changed = true;
+    }
+  });
+
+  const isDeleted = (todo) =>
+    tombstones[todo.id] !== undefined && time(tombstones[todo.id]) >= time(todo.updatedAt);
+
+  const remoteById = new Map(remote.todos.map(todo => [todo.id, todo]));
+  const localIds = new Set(local.todos.map(todo => todo.id));
+
+  const merged = [];
+  local.todos.forEach(todo => {
+    const remoteTodo = remoteById.get(todo.id);
+    const winner = remoteTodo && time(remoteTodo.updatedAt) > time(todo.updatedAt)
+      ? remoteTodo
+      : todo;
+    if (isDeleted(winner)) {
+      changed = true;
+      return;
+    }
+    if (winner !== todo) changed = true;
+    merged.push(winner);
+  });
+
+  remote.todos.forEach(todo => {
+    if (localIds.has(todo.id) || isDeleted(todo)) return;
+    changed = true;
+    merged.push(todo);
+  });
+
+  if (!changed) return { ...local, changed: false };
+
+  // A tombstone whose todo came back with a newer edit is obsolete
+  merged.forEach(todo => { delete tombstones[todo.id]; });
+
+  return { todos: merged, tombstones, changed: true };
+}
+
+// Listen for snapshots from other tabs and publish our own.
+// Uses BroadcastChannel when available, else the `storage` event,
+// which only fires for stores backed by localStorage.
+export function createTabSync(store, onRemoteSnapshot) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(store.key);
+    channel.onmessage = (e) => onRemoteSnapshot(e.data);
+
+    return {
+      publish: (snapshot) => channel.postMessage(snapshot),
+      close: () => channel.close()
+    };
+  }
+
+  const handleStorage = (e) => {
+    if (e.key !== store.key || !e.newValue || store.adapter.name !== 'localStorage') return;
+
+    try {
+      const { todos, tombstones } = migrate(JSON.parse(e.newValue));
+      onRemoteSnapshot({ todos, tombstones });
+    } catch (err) {
+      console.error('Ignoring unreadable todos from another tab:', err);
+    }
+  };
+
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    // The other tabs read our save through their storage event
+    publish: () => {},
+    close: () => window.removeEventListener('storage', handleStorage)
+  };
+}
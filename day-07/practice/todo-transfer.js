@@ -0,0 +1,346 @@
+// Import/export for TodoListApp: JSON, CSV and todo.txt
+// Every parser returns { todos, errors } where each error points at the
+// line (or JSON item) it came from, so one bad row never hides the rest.
+
+import { PRIORITIES } from './todo-query';
+import { createTodoId } from './todo-id';
+
+export const FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  todotxt: { label: 'todo.txt', extension: 'txt', mimeType: 'text/plain' }
+};
+
+export function detectFormat(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return Object.keys(FORMATS).find(format => FORMATS[format].extension === extension) || null;
+}
+
+// ---------- Shared validation ----------
+
+const parseBoolean = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'x'].includes(normalized)) return true;
+  if (['false', '0', 'no', ''].includes(normalized)) return false;
+  return null;
+};
+
+const parseTags = (tags) => {
+  if (Array.isArray(tags)) return tags.map(String);
+  return String(tags ?? '').split(/[\s,]+/);
+};
+
+// Turns loosely typed input into a todo, or throws a readable message
+function toTodo({ id, text, completed, createdAt, dueDate, priority, tags, parentId }, makeId) {
+  if (typeof text !== 'string' || !text.trim()) throw new Error('text is required');
+
+  const done = typeof completed === 'boolean' ? completed : parseBoolean(completed ?? '');
+  if (done === null) throw new Error(`completed must be true or false, got "${completed}"`);
+
+  if (createdAt && isNaN(Date.parse(createdAt))) {
+    throw new Error(`createdAt is not a valid date: "${createdAt}"`);
+  }
+
+  if (dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+    throw new Error(`dueDate must be YYYY-MM-DD, got "${dueDate}"`);
+  }
+
+  if (priority && !PRIORITIES.includes(priority)) {
+    throw new Error(`priority must be one of ${PRIORITIES.join(', ')}, got "${priority}"`);
+  }
+
+  return {
+    id: id === undefined || id === null || id === '' ? makeId() : id,
+    text: text.trim(),
+    completed: done,
+    createdAt: createdAt ? new Date(createdAt).toISOString() : new Date().toISOString(),
+    dueDate: dueDate || null,
+    priority: priority || null,
+    tags: [...new Set(parseTags(tags).map(tag => tag.trim()).filter(Boolean))],
+    parentId: parentId === undefined || parentId === '' ? null : parentId
+  };
+}
+
+// CSV and todo.txt ids come back as strings; keep numeric ids numeric
+const parseId = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+
+// Adds `todo` to `todos`, or throws when an earlier entry in the same file
+// already has its id (importing both would silently keep only the last)
+function addUnique(todos, seen, todo, location) {
+  if (seen.has(todo.id)) {
+    throw new Error(`Duplicate id "${todo.id}", already used by ${seen.get(todo.id).toLowerCase()}`);
+  }
+  seen.set(todo.id, location);
+  todos.push(todo);
+}
+
+// ---------- JSON ----------
+
+function exportJSON(todos) {
+  const exported = todos.map(({ id, text, completed, createdAt, dueDate, priority, tags, parentId }) => ({
+    id, text, completed, createdAt, dueDate, priority, tags, parentId
+  }));
+  return JSON.stringify({ exportedAt: new Date().toISOString(), todos: exported }, null, 2);
+}
+
+function importJSON(content, makeId) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (err) {
+    return { todos: [], errors: [{ location: 'File', message: `Invalid JSON: ${err.message}` }] };
+  }
+
+  const items = Array.isArray(data) ? data : data && data.todos;
+  if (!Array.isArray(items)) {
+    return { todos: [], errors: [{ location: 'File', message: 'Expected an array of todos' }] };
+  }
+
+  const todos = [];
+  const errors = [];
+  const seen = new Map();
+  items.forEach((item, index) => {
+    try {
+      addUnique(todos, seen, toTodo(item || {}, makeId), `Item ${index + 1}`);
+    } catch (err) {
+      errors.push({ location: `Item ${index + 1}`, message: err.message });
+    }
+  });
+
+  return { todos, errors };
+}
+
+// ---------- CSV ----------
+
+const CSV_COLUMNS = ['id', 'text', 'completed', 'createdAt', 'dueDate', 'priority', 'tags', 'parentId'];
+
+const escapeCSV = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function exportCSV(todos) {
+  const rows = todos.map(todo => CSV_COLUMNS
+    .map(column => escapeCSV(column === 'tags' ? todo.tags.join(' ') : todo[column]))
+    .join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+// Split CSV text into records, remembering the line each one starts on.
+// Quoted fields may contain commas, doubled quotes and line breaks.
+function parseCSVRecords(content) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0] !== '') records.push({ line: startLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) return { records, unterminatedAt: startLine };
+  endRecord();
+  return { records };
+}
+
+function importCSV(content, makeId) {
+  const { records, unterminatedAt } = parseCSVRecords(content);
+  const errors = [];
+
+  if (records.length === 0) {
+    return { todos: [], errors: [{ location: 'File', message: 'File is empty' }] };
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.fields.map(name => name.trim());
+  if (!columns.includes('text')) {
+    return { todos: [], errors: [{ location: 'Line 1', message: 'Header must include a "text" column' }] };
+  }
+
+  const todos = [];
+  const seen = new Map();
+  rows.forEach(({ line, fields }) => {
+    if (fields.length !== columns.length) {
+      errors.push({
+        location: `Line ${line}`,
+        message: `Expected ${columns.length} fields, found ${fields.length}`
+      });
+      return;
+    }
+
+    const row = Object.fromEntries(columns.map((column, index) => [column, fields[index]]));
+    try {
+      addUnique(todos, seen, toTodo({
+        ...row,
+        id: row.id ? parseId(row.id) : undefined,
+        parentId: row.parentId ? parseId(row.parentId) : null
+      }, makeId), `Line ${line}`);
+    } catch (err) {
+      errors.push({ location: `Line ${line}`, message: err.message });
+    }
+  });
+
+  if (unterminatedAt) {
+    errors.push({ location: `Line ${unterminatedAt}`, message: 'Unterminated quoted field' });
+  }
+
+  return { todos, errors };
+}
+
+// ---------- todo.txt ----------
+// https://github.com/todotxt/todo.txt
+// The creation date keeps day precision for other tools; `created:` (epoch ms)
+// and `id:` extensions let this app restore the exact timestamp and identity.
+// Priorities map to (A) high, (B) medium, (C) low and tags to +project words.
+// Completed todos keep their priority in a `pri:` extension, as the spec suggests,
+// and subtasks point at their parent with `parent:`.
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const PRIORITY_LETTERS = { high: 'A', medium: 'B', low: 'C' };
+
+const letterToPriority = (letter) => {
+  if (letter === 'A') return 'high';
+  if (letter === 'B') return 'medium';
+  return 'low';
+};
+
+const toDateString = (iso) => iso.slice(0, 10);
+
+function exportTodoTxt(todos) {
+  return todos.map(todo => {
+    const parts = [];
+    const letter = PRIORITY_LETTERS[todo.priority];
+    if (todo.completed) parts.push('x', toDateString(todo.updatedAt || todo.createdAt));
+    else if (letter) parts.push(`(${letter})`);
+    parts.push(toDateString(todo.createdAt), todo.text.replace(/\s*\n\s*/g, ' '));
+    parts.push(...todo.tags.map(tag => `+${tag}`));
+    if (todo.dueDate) parts.push(`due:${todo.dueDate}`);
+    if (todo.completed && letter) parts.push(`pri:${letter}`);
+    if (todo.parentId != null) parts.push(`parent:${todo.parentId}`);
+    parts.push(`id:${todo.id}`, `created:${Date.parse(todo.createdAt)}`);
+    return parts.join(' ');
+  }).join('\n');
+}
+
+function parseTodoTxtLine(text) {
+  const words = text.trim().split(/\s+/);
+  let completed = false;
+  let createdAt;
+  let priority = null;
+  let dueDate = null;
+  let parentId = null;
+  const tags = [];
+
+  if (words[0] === 'x') {
+    completed = true;
+    words.shift();
+    if (DATE.test(words[0]) && DATE.test(words[1])) words.shift(); // completion date
+  }
+
+  if (/^\([A-Z]\)$/.test(words[0])) priority = letterToPriority(words.shift()[1]);
+
+  if (DATE.test(words[0])) {
+    const [year, month, day] = words.shift().split('-').map(Number);
+    createdAt = new Date(year, month - 1, day).toISOString();
+  }
+
+  let id;
+  const textWords = words.filter(word => {
+    if (/^\+\S+$/.test(word)) {
+      tags.push(word.slice(1));
+      return false;
+    }
+
+    const match = word.match(/^(id|created|due|pri|parent):(\S+)$/);
+    if (!match) return true;
+    const [, key, value] = match;
+
+    if (key === 'id') id = parseId(value);
+    else if (key === 'due') dueDate = value;
+    else if (key === 'pri') priority = letterToPriority(value);
+    else if (key === 'parent') parentId = parseId(value);
+    else if (/^\d+$/.test(value)) createdAt = new Date(Number(value)).toISOString();
+    else throw new Error(`created: must be a timestamp in milliseconds, got "${value}"`);
+    return false;
+  });
+
+  return { id, text: textWords.join(' '), completed, createdAt, dueDate, priority, tags, parentId };
+}
+
+function importTodoTxt(content, makeId) {
+  const todos = [];
+  const errors = [];
+  const seen = new Map();
+
+  content.split(/\r?\n/).forEach((text, index) => {
+    if (!text.trim()) return;
+    try {
+      addUnique(todos, seen, toTodo(parseTodoTxtLine(text), makeId), `Line ${index + 1}`);
+    } catch (err) {
+      errors.push({ location: `Line ${index + 1}`, message: err.message });
+    }
+  });
+
+  return { todos, errors };
+}
+
+// ---------- Public API ----------
+
+const exporters = { json: exportJSON, csv: exportCSV, todotxt: exportTodoTxt };
+const importers = { json: importJSON, csv: importCSV, todotxt: importTodoTxt };
+
+export function exportTodos(todos, format) {
+  return exporters[format](todos);
+}
+
+export function importTodos(content, format) {
+  return importers[format](content, createTodoId);
+}
+
+// Merge keeps existing todos and lets imported ones with the same id win;
+// replace throws the current list away
+export function combineImported(todos, imported, mode) {
+  if (mode === 'replace') return imported;
+
+  const importedById = new Map(imported.map(todo => [todo.id, todo]));
+  const existingIds = new Set(todos.map(todo => todo.id));
+
+  return [
+    ...todos.map(todo => (importedById.has(todo.id) ? { ...todo, ...importedById.get(todo.id) } : todo)),
+    ...imported.filter(todo => !existingIds.has(todo.id))
+  ];
+}
@@ -0,0 +1,186 @@
+// Subtasks for TodoListApp
+// Todos stay a flat list; `parentId` links a subtask to its parent.
+// Keeping the list flat lets history, sync, ordering and import/export
+// keep working per todo, while the helpers here derive the tree.
+
+import { byOrder, moveTodo } from './todo-order';
+
+export function childrenByParent(todos) {
+  const children = new Map();
+  todos.forEach(todo => {
+    const key = todo.parentId ?? null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(todo);
+  });
+  return children;
+}
+
+export function descendantIds(todos, id) {
+  const children = childrenByParent(todos);
+  const ids = new Set();
+  const visit = (parentId) => {
+    (children.get(parentId) || []).forEach(child => {
+      ids.add(child.id);
+      visit(child.id);
+    });
+  };
+  visit(id);
+  return ids;
+}
+
+export function ancestorIds(todos, id) {
+  const byId = new Map(todos.map(todo => [todo.id, todo]));
+  const ids = [];
+  let current = byId.get(id);
+  while (current && current.parentId != null && !ids.includes(current.parentId)) {
+    ids.push(current.parentId);
+    current = byId.get(current.parentId);
+  }
+  return ids;
+}
+
+// Point subtasks of missing parents (deleted in another tab, or not part
+// of an import) and any parent cycles back at the top level
+export function repairTree(todos) {
+  const ids = new Set(todos.map(todo => todo.id));
+  const byId = new Map(todos.map(todo => [todo.id, todo]));
+
+  const hasCycle = (todo) => {
+    const seen = new Set([todo.id]);
+    let current = todo;
+    while (current.parentId != null) {
+      if (seen.has(current.parentId)) return true;
+      seen.add(current.parentId);
+      current = byId.get(current.parentId);
+      if (!current) return false;
+    }
+    return false;
+  };
+
+  let repaired = false;
+  const result = todos.map(todo => {
+    if (todo.parentId === undefined) {
+      repaired = true;
+      return { ...todo, parentId: null };
+    }
+    if (todo.parentId !== null && (!ids.has(todo.parentId) || hasCycle(todo))) {
+      repaired = true;
+      return { ...todo, parentId: null };
+    }
+    return todo;
+  });
+
+  return repaired ? result : todos;
+}
+
+export function removeWithDescendants(todos, ids) {
+  const removed = new Set(ids);
+  ids.forEach(id => descendantIds(todos, id).forEach(child => removed.add(child)));
+  return todos.filter(todo => !removed.has(todo.id));
+}
+
+// Completing a todo completes its whole subtree; reopening one reopens its
+// ancestors. With `autoCompleteParents`, a parent completes itself once
+// every child is done.
+export function setCompleted(todos, id, completed, autoCompleteParents = false) {
+  const cascade = completed ? descendantIds(todos, id) : new Set();
+  cascade.add(id);
+
+  let result = todos.map(todo =>
+    cascade.has(todo.id) && todo.completed !== completed ? { ...todo, completed } : todo
+  );
+
+  const ancestors = ancestorIds(result, id);
+  if (!completed) {
+    return result.map(todo =>
+      ancestors.includes(todo.id) && todo.completed ? { ...todo, completed: false } : todo
+    );
+  }
+
+  if (autoCompleteParents) {
+    ancestors.forEach(ancestorId => {
+      const children = result.filter(todo => todo.parentId === ancestorId);
+      if (children.every(child => child.completed)) {
+        result = result.map(todo =>
+          todo.id === ancestorId && !todo.completed ? { ...todo, completed: true } : todo
+        );
+      }
+    });
+  }
+
+  return result;
+}
+
+// Done/total over every todo below `id`
+export function progressOf(children, id) {
+  let done = 0;
+  let total = 0;
+  const visit = (parentId) => {
+    (children.get(parentId) || []).forEach(child => {
+      total++;
+      if (child.completed) done++;
+      visit(child.id);
+    });
+  };
+  visit(id);
+  return { done, total };
+}
+
+// Flatten the tree into the rows to render, depth first.
+// A todo is shown when it matches or when one of its descendants does,
+// so matching subtasks always appear under their parents.
+export function visibleRows(todos, matches, sortSiblings = list => [...list].sort(byOrder)) {
+  const children = childrenByParent(todos);
+  const rows = [];
+
+  const subtreeMatches = new Map();
+  const checkSubtree = (todo) => {
+    if (subtreeMatches.has(todo.id)) return subtreeMatches.get(todo.id);
+    const result = (children.get(todo.id) || []).some(checkSubtree) || matches(todo);
+    subtreeMatches.set(todo.id, result);
+    return result;
+  };
+
+  const visit = (parentId, depth) => {
+    sortSiblings(children.get(parentId) || []).forEach(todo => {
+      if (!checkSubtree(todo)) return;
+
+      const hasChildren = children.has(todo.id);
+      rows.push({
+        todo,
+        depth,
+        hasChildren,
+        matches: matches(todo),
+        progress: hasChildren ? progressOf(children, todo.id) : null
+      });
+
+      if (hasChildren && !todo.collapsed) visit(todo.id, depth + 1);
+    });
+  };
+
+  visit(null, 0);
+  return rows;
+}
+
+// Make `id` the last subtask of `parentId`. An active subtask reopens
+// its new ancestors, like adding one does.
+export function nestUnder(todos, id, parentId) {
+  const siblings = todos.filter(todo => todo.parentId === parentId && todo.id !== id);
+  const order = siblings.length > 0 ? Math.max(...siblings.map(todo => todo.order)) + 1 : 0;
+
+  const nested = todos.map(todo => {
+    if (todo.id === id) return { ...todo, parentId, order };
+    if (todo.id === parentId && todo.collapsed) return { ...todo, collapsed: false };
+    return todo;
+  });
+
+  return nested.find(todo => todo.id === id).completed ? nested : setCompleted(nested, id, false);
+}
+
+// moveTodo for trees: the move may change the parent, so an active
+// todo reopens its new ancestors
+export function moveInTree(todos, id, targetId, position) {
+  const moved = moveTodo(todos, id, targetId, position);
+  const todo = moved.find(item => item.id === id);
+  return todo.completed ? moved : setCompleted(moved, id, false);
+}
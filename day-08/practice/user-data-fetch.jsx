@@ -1,91 +1,121 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
+import { Button, Card, Field, TextInput, tokens } from '../../shared/ui';
+import { queryClient, useQuery } from '../../shared/query';
+
+const { color, space, radius, fontSize } = tokens;
+
+// Users rarely change, so going back to one shows it without refetching
+const USER_STALE_TIME = 60 * 1000;
+
+// Resolves with null for ids that don't exist. `signal` cancels the
+// request when the id changes again before it finishes.
+async function fetchUser(userId, signal) {
+  const response = await fetch(
+    `https://jsonplaceholder.typicode.com/users/${userId}`,
+    { signal }
+  );
+  
+  if (response.status === 404) {
+    return null;
+  }
+  
+  if (!response.ok) {
+    throw new Error('Failed to fetch user');
+  }
+  
+  const user = await response.json();
+  // An empty body would otherwise crash the render on user.address
+  return user.id ? user : null;
+}
 
 function UserDataFetch() {
   const [userId, setUserId] = useState(1);
-  const [user, setUser] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  
-  useEffect(() => {
-    async function fetchUser() {
-      setLoading(true);
-      setError(null);
-      
-      try {
-        const response = await fetch(
-          `https://jsonplaceholder.typicode.com/users/${userId}`
-        );
-        
-        if (!response.ok) {
-          throw new Error('Failed to fetch user');
-        }
-        
-        const data = await response.json();
-        setUser(data);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    }
-    
-    fetchUser();
-  }, [userId]);
+  const { data: user, error, isLoading, isFetching } = useQuery(
+    ['user', userId],
+    ({ signal }) => fetchUser(userId, signal),
+    { staleTime: USER_STALE_TIME }
+  );
   
   return (
-    <div style={{ padding: '20px' }}>
+    <div style={{ padding: space.xl }}>
       <h2>User Profile</h2>
       
-      <div style={{ marginBottom: '20px' }}>
-        <label>User ID: </label>
-        <input
-          type="number"
-          value={userId}
-          onChange={(e) => setUserId(Number(e.target.value))}
-          min="1"
-          max="10"
-          style={{ padding: '5px', marginLeft: '10px' }}
-        />
-      </div>
+      <Field id="user-id" label="User ID" style={{ marginBottom: space.xl }}>
+        {(control) => (
+          <div style={{ display: 'flex', alignItems: 'center', gap: space.md }}>
+            <TextInput
+              {...control}
+              type="number"
+              size="sm"
+              value={userId}
+              onChange={(e) => setUserId(Number(e.target.value))}
+              min="1"
+              max="10"
+              style={{ width: '80px' }}
+            />
+            <Button
+              variant="subtle"
+              size="sm"
+              onClick={() => queryClient.invalidate(['user', userId])}
+              disabled={isFetching}
+            >
+              Refresh
+            </Button>
+            {isFetching && !isLoading && (
+              <span style={{ fontSize: fontSize.sm, color: color.muted }}>Updating...</span>
+            )}
+          </div>
+        )}
+      </Field>
       
-      {loading && (
-        <div style={{ padding: '20px', textAlign: 'center' }}>
+      {isLoading && (
+        <div style={{ padding: space.xl, textAlign: 'center' }}>
           <div className="spinner">Loading...</div>
         </div>
       )}
       
-      {error && (
-        <div style={{ padding: '20px', color: 'red', background: '#ffe6e6' }}>
-          Error: {error}
+      {error && !isFetching && (
+        <div style={{
+          padding: space.xl,
+          color: color.errorText,
+          background: color.errorBackground,
+          borderRadius: radius.sm
+        }}>
+          Error: {error.message}
         </div>
       )}
       
-      {!loading && !error && user && (
+      {user === null && (
         <div style={{
-          padding: '20px',
-          border: '1px solid #ddd',
-          borderRadius: '8px',
-          background: 'white'
+          padding: space.xl,
+          color: color.muted,
+          background: color.subtle,
+          borderRadius: radius.sm
         }}>
-          <h3>{user.name}</h3>
+          User #{userId} not found. Try an id from 1 to 10.
+        </div>
+      )}
+      
+      {user && (
+        <Card title={user.name}>
           <p><strong>Email:</strong> {user.email}</p>
           <p><strong>Username:</strong> {user.username}</p>
           <p><strong>Phone:</strong> {user.phone}</p>
           <p><strong>Website:</strong> {user.website}</p>
           
-          <div style={{ marginTop: '20px' }}>
+          <div style={{ marginTop: space.xl }}>
             <h4>Address:</h4>
             <p>
               {user.address.street}, {user.address.city}, {user.address.zipcode}
             </p>
           </div>
           
-          <div style={{ marginTop: '20px' }}>
+          <div style={{ marginTop: space.xl }}>
             <h4>Company:</h4>
             <p>{user.company.name}</p>
             <p><em>{user.company.catchPhrase}</em></p>
           </div>
-        </div>
+        </Card>
       )}
     </div>
   );
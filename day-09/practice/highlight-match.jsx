@@ -0,0 +1,44 @@
+// Marks what matched a search in `text`. `terms` are the index terms that
+// matched (see search-index.js) and `query` is what was typed. Exact
+// matches are marked whole, prefix matches only as far as the typed word
+// goes ("pos" in "post"), and typo matches whole, since no one part of
+// "provident" is what "porvident" meant.
+
+import { tokenize } from './search-index';
+
+// How many characters of `word` spell its first `length` search letters.
+// Accents don't count as letters, so "cafe" covers all of "Café".
+function prefixLength(word, length) {
+  for (let end = 1; end <= word.length; end++) {
+    if (tokenize(word.slice(0, end)).join('').length >= length) {
+      while (end < word.length && /\p{M}/u.test(word[end])) end++;
+      return end;
+    }
+  }
+  return word.length;
+}
+
+export function HighlightMatch({ text, terms, query = '' }) {
+  const matched = new Set(terms);
+  const queryWords = tokenize(query);
+  const parts = [];
+  let start = 0;
+
+  for (const { 0: word, index } of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const term = tokenize(word)[0];
+    if (!matched.has(term)) continue;
+
+    // The longest typed word this term starts with; none for typo matches
+    const prefix = queryWords
+      .filter(queryWord => term.startsWith(queryWord))
+      .reduce((longest, queryWord) => (queryWord.length > longest.length ? queryWord : longest), '');
+    const end = prefix ? prefixLength(word, prefix.length) : word.length;
+
+    if (index > start) parts.push(text.slice(start, index));
+    parts.push(<mark key={index}>{word.slice(0, end)}</mark>);
+    start = index + end;
+  }
+  parts.push(text.slice(start));
+
+  return parts;
+}
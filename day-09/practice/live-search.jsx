@@ -1,92 +1,299 @@
-import { useState, useEffect } from 'react';
+// LiveSearch is a combobox (WAI-ARIA pattern): focus stays in the input
+// while arrow keys move a highlight through the list, which screen readers
+// follow via aria-activedescendant. Enter picks the highlighted option and
+// Escape closes the list (a second Escape clears the input). With an empty
+// input the list shows recent searches instead of results.
+//
+// Posts are downloaded and indexed once (see posts-index.js); every
+// keystroke is then answered from the local index, with no debounce needed.
+// The list shows the best few matches; SearchResults below it has them all.
+// The query and page live in the URL, so Back/Forward, reload and shared
+// links bring back the same search.
 
-function LiveSearch() {
-  const [query, setQuery] = useState('');
-  const [results, setResults] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+import { useState, useEffect, useId, useMemo } from 'react';
+import { Button, Card, TextInput, tokens } from '../../shared/ui';
+import { queryClient, useQuery } from '../../shared/query';
+import { addRecentSearch, loadRecentSearches, saveRecentSearches } from './recent-searches';
+import { POSTS_INDEX_KEY, loadPostsIndex } from './posts-index';
+import { searchIndex } from './search-index';
+import { HighlightMatch } from './highlight-match';
+import { SearchResults } from './search-results';
+import { readSearchUrl, writeSearchUrl } from './search-url';
+
+const { color, space, radius, fontSize, shadow } = tokens;
+
+const MAX_SUGGESTIONS = 5;
+
+function LiveSearch({ onSelect, resultsMode = 'pages', pageSize = 10 }) {
+  const id = useId();
+  const listboxId = `${id}-listbox`;
+  const optionId = (index) => `${id}-option-${index}`;
+  
+  const [query, setQuery] = useState(() => readSearchUrl().query);
+  const [page, setPage] = useState(() => readSearchUrl().page);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recentSearches, setRecentSearches] = useState(loadRecentSearches);
+  const [selected, setSelected] = useState(null);
+  
+  // The index never goes stale by itself; "Refresh index" invalidates it
+  const { data: index, error, isLoading: indexing, isFetching: reindexing } = useQuery(
+    POSTS_INDEX_KEY,
+    ({ signal }) => loadPostsIndex({ signal }),
+    { staleTime: Infinity }
+  );
+  
+  const trimmed = query.trim();
+  const results = useMemo(
+    () => (index && trimmed ? searchIndex(index, trimmed, { limit: Infinity }) : []),
+    [index, trimmed]
+  );
+  const suggestions = results.slice(0, MAX_SUGGESTIONS);
   
+  // Typing only updates the current history entry, once it pauses, so Back
+  // doesn't step through every keystroke. Page changes push their own.
   useEffect(() => {
-    if (!query.trim()) {
-      setResults([]);
-      return;
-    }
-    
     const timer = setTimeout(() => {
-      setLoading(true);
-      
-      // Simulate API call with JSONPlaceholder
-      fetch(`https://jsonplaceholder.typicode.com/posts?title_like=${query}`)
-        .then(res => res.json())
-        .then(data => {
-          // Filter by title since API doesn't support search
-          const filtered = data.filter(post => 
-            post.title.toLowerCase().includes(query.toLowerCase())
-          );
-          setResults(filtered.slice(0, 5));
-          setError(null);
-        })
-        .catch(err => {
-          setError('Failed to search');
-          setResults([]);
-        })
-        .finally(() => setLoading(false));
-    }, 300); // Debounce 300ms
+      writeSearchUrl({ query: trimmed, page }, { replace: true });
+    }, 300);
     
     return () => clearTimeout(timer);
-  }, [query]);
+  }, [trimmed, page]);
+  
+  useEffect(() => {
+    const handlePopState = () => {
+      const url = readSearchUrl();
+      setQuery(url.query);
+      setPage(url.page);
+      setOpen(false);
+    };
+    
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+  
+  // A rebuilt index means a new list, so nothing in it is highlighted yet
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [index]);
+  
+  const showingRecent = !trimmed;
+  const options = showingRecent ? recentSearches : suggestions;
+  const expanded = open && options.length > 0;
+  
+  const rememberSearch = (term) => {
+    const next = addRecentSearch(recentSearches, term);
+    setRecentSearches(next);
+    saveRecentSearches(next);
+  };
+  
+  const changeQuery = (value) => {
+    setQuery(value);
+    setPage(1);
+    setActiveIndex(-1);
+  };
+  
+  const goToPage = (nextPage, { replace = false } = {}) => {
+    setPage(nextPage);
+    writeSearchUrl({ query: trimmed, page: nextPage }, { replace });
+  };
+  
+  const selectPost = (post) => {
+    rememberSearch(query);
+    setSelected(post);
+    setOpen(false);
+    setActiveIndex(-1);
+    if (onSelect) onSelect(post);
+  };
+  
+  const choose = (optionIndex) => {
+    if (showingRecent) {
+      changeQuery(recentSearches[optionIndex]);
+    } else {
+      selectPost(suggestions[optionIndex].doc);
+    }
+  };
+  
+  const handleKeyDown = (e) => {
+    if (e.nativeEvent.isComposing) return;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (options.length === 0) return;
+      
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setOpen(true);
+      setActiveIndex(current => {
+        if (!expanded || current === -1) return step === 1 ? 0 : options.length - 1;
+        // Wrap around at either end
+        return (current + step + options.length) % options.length;
+      });
+    } else if (e.key === 'Enter') {
+      if (expanded && activeIndex !== -1) {
+        e.preventDefault();
+        choose(activeIndex);
+      } else if (trimmed) {
+        // Enter on the query itself: close the list to show all results
+        rememberSearch(query);
+        setOpen(false);
+      }
+    } else if (e.key === 'Escape') {
+      if (expanded) {
+        setOpen(false);
+        setActiveIndex(-1);
+      } else {
+        changeQuery('');
+      }
+    }
+  };
   
   return (
-    <div style={{ maxWidth: '600px', margin: '0 auto', padding: '20px' }}>
+    <div style={{ maxWidth: '600px', margin: '0 auto', padding: space.xl }}>
       <h2>Live Search</h2>
       
-      <input
-        type="text"
-        value={query}
-        onChange={(e) => setQuery(e.target.value)}
-        placeholder="Search posts..."
-        style={{
-          width: '100%',
-          padding: '10px',
-          fontSize: '16px',
-          border: '1px solid #ddd',
-          borderRadius: '4px'
-        }}
-      />
+      <div style={{ position: 'relative' }}>
+        <TextInput
+          size="lg"
+          role="combobox"
+          aria-label="Search posts"
+          aria-autocomplete="list"
+          aria-expanded={expanded}
+          aria-controls={listboxId}
+          aria-activedescendant={expanded && activeIndex !== -1 ? optionId(activeIndex) : undefined}
+          autoComplete="off"
+          value={query}
+          onChange={(e) => {
+            changeQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => {
+            setOpen(false);
+            setActiveIndex(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Search posts..."
+        />
+        
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-label={showingRecent ? 'Recent searches' : 'Search results'}
+          hidden={!expanded}
+          style={{
+            position: 'absolute',
+            zIndex: 1,
+            left: 0,
+            right: 0,
+            margin: `${space.xs} 0 0`,
+            padding: space.xs,
+            listStyle: 'none',
+            background: color.surface,
+            border: `1px solid ${color.border}`,
+            borderRadius: radius.sm,
+            boxShadow: shadow.card
+          }}
+        >
+          {showingRecent && (
+            <li role="presentation" style={{ padding: space.xs, fontSize: fontSize.xs, color: color.muted }}>
+              Recent searches
+            </li>
+          )}
+          {options.map((option, index) => (
+            <li
+              key={showingRecent ? option : option.doc.id}
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so the list doesn't close first
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => choose(index)}
+              style={{
+                padding: space.md,
+                borderRadius: radius.sm,
+                cursor: 'pointer',
+                background: index === activeIndex ? color.subtle : 'transparent'
+              }}
+            >
+              {showingRecent ? option : (
+                <>
+                  <strong>
+                    <HighlightMatch text={option.doc.title} terms={option.terms} query={trimmed} />
+                  </strong>
+                  <div style={{ fontSize: fontSize.sm, color: color.muted }}>
+                    <HighlightMatch text={option.doc.body.substring(0, 100)} terms={option.terms} query={trimmed} />...
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
       
-      <div style={{ marginTop: '20px' }}>
-        {loading && <div>Searching...</div>}
+      <div role="status" style={{ marginTop: space.xl }}>
+        {indexing && <div>Loading posts...</div>}
         
-        {error && <div style={{ color: 'red' }}>{error}</div>}
+        {error && !index && !indexing && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: space.md, color: color.error }}>
+            Failed to load posts
+            <Button variant="secondary" size="sm" onClick={() => queryClient.invalidate(POSTS_INDEX_KEY)}>
+              Try again
+            </Button>
+          </div>
+        )}
         
-        {!loading && !error && query && results.length === 0 && (
+        {index && trimmed && results.length === 0 && (
           <div>No results found for "{query}"</div>
         )}
         
         {results.length > 0 && (
-          <div>
-            <h3>Results:</h3>
-            {results.map(post => (
-              <div
-                key={post.id}
-                style={{
-                  padding: '10px',
-                  marginBottom: '10px',
-                  border: '1px solid #ddd',
-                  borderRadius: '4px',
-                  background: 'white'
-                }}
-              >
-                <h4>{post.title}</h4>
-                <p style={{ color: '#666' }}>{post.body.substring(0, 100)}...</p>
-              </div>
-            ))}
+          <div style={{ fontSize: fontSize.sm, color: color.muted }}>
+            {results.length} {results.length === 1 ? 'result' : 'results'}, use the arrow keys to browse the top matches
           </div>
         )}
       </div>
+      
+      {index && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: space.md,
+          marginTop: space.md,
+          fontSize: fontSize.xs,
+          color: color.faint
+        }}>
+          {index.docs.length} posts indexed at {new Date(index.builtAt).toLocaleTimeString()}
+          {error && !reindexing && ' (the last refresh failed)'}
+          <Button
+            variant="secondary"
+            size="sm"
+            loading={reindexing}
+            loadingLabel="Refreshing..."
+            onClick={() => queryClient.invalidate(POSTS_INDEX_KEY)}
+          >
+            Refresh index
+          </Button>
+        </div>
+      )}
+      
+      {selected && (
+        <Card title={selected.title} style={{ marginTop: space.xl }}>
+          <p style={{ color: color.muted }}>{selected.body}</p>
+        </Card>
+      )}
+      
+      <SearchResults
+        results={results}
+        query={trimmed}
+        mode={resultsMode}
+        pageSize={pageSize}
+        page={page}
+        onPageChange={goToPage}
+        onSelect={selectPost}
+      />
     </div>
   );
 }
 
 export default LiveSearch;
-
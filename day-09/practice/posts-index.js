@@ -0,0 +1,64 @@
+// Loads every post once and indexes it for LiveSearch. JSONPlaceholder
+// can't search, so instead of fetching on every keystroke we search the
+// index locally. It lives in the query cache under POSTS_INDEX_KEY;
+// invalidate that key to download and index the posts again.
+
+import { buildSearchIndex } from './search-index';
+
+export const POSTS_INDEX_KEY = ['posts-index'];
+
+// Below this many documents a worker costs more than it saves
+const WORKER_THRESHOLD = 2000;
+
+const abortError = () => new DOMException('Index build was cancelled', 'AbortError');
+
+// Builds the index in a web worker, falling back to the main thread where
+// workers aren't available
+export function buildSearchIndexInWorker(docs, { signal, ...options } = {}) {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve(buildSearchIndex(docs, options));
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const worker = new Worker(new URL('./search-index.worker.js', import.meta.url), { type: 'module' });
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', cancel);
+    };
+    const cancel = () => {
+      finish();
+      reject(abortError());
+    };
+
+    worker.onmessage = (e) => {
+      finish();
+      resolve(e.data);
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || 'Could not build the search index'));
+    };
+    if (signal) signal.addEventListener('abort', cancel);
+    worker.postMessage({ docs, options });
+  });
+}
+
+// `useWorker` defaults to true for large corpora only
+export async function loadPostsIndex({ signal, useWorker } = {}) {
+  const response = await fetch('https://jsonplaceholder.typicode.com/posts', { signal });
+
+  if (!response.ok) {
+    throw new Error('Failed to load posts');
+  }
+
+  const posts = await response.json();
+  const inWorker = useWorker ?? posts.length >= WORKER_THRESHOLD;
+  return inWorker
+    ? buildSearchIndexInWorker(posts, { signal })
+    : buildSearchIndex(posts);
+}
@@ -0,0 +1,35 @@
+// Recent searches for LiveSearch
+// Saved in localStorage, newest first, with repeats (ignoring case) moved
+// to the front instead of added twice.
+
+export const RECENT_SEARCHES_KEY = 'live-search-recent';
+const MAX_RECENT_SEARCHES = 5;
+
+export function loadRecentSearches(key = RECENT_SEARCHES_KEY) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(key));
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .filter(term => typeof term === 'string' && term.trim())
+      .slice(0, MAX_RECENT_SEARCHES);
+  } catch (err) {
+    // Unreadable or disabled storage: start without history
+    return [];
+  }
+}
+
+export function saveRecentSearches(searches, key = RECENT_SEARCHES_KEY) {
+  try {
+    localStorage.setItem(key, JSON.stringify(searches));
+  } catch (err) {
+    // Storage is full or disabled; searching still works
+  }
+}
+
+export function addRecentSearch(searches, term) {
+  const trimmed = term.trim();
+  if (!trimmed) return searches;
+
+  const others = searches.filter(search => search.toLowerCase() !== trimmed.toLowerCase());
+  return [trimmed, ...others].slice(0, MAX_RECENT_SEARCHES);
+}
@@ -0,0 +1,223 @@
+// Full-text search index for LiveSearch
+// buildSearchIndex turns a list of documents into an inverted index (term ->
+// the documents that contain it) once; searchIndex then answers queries
+// from memory without going back to the server.
+//
+// A query word matches index terms three ways, best first:
+//   exact      "post"  -> post
+//   prefix     "pos"   -> post, possimus   (for search-as-you-type)
+//   fuzzy      "psot"  -> post             (1 typo from 4 letters, 2 from 8)
+// Typos are only looked for when a word matches nothing exactly or as a
+// prefix, and then only among terms of about the same length that share
+// enough letter pairs with it, so a keystroke stays well under a
+// millisecond even with tens of thousands of terms.
+// Every query word has to match something. Documents are ranked by how
+// rare the matched terms are and which field they were found in.
+//
+// The index only holds arrays, Maps and plain objects, so it can be built
+// in a web worker and posted back (see search-index.worker.js).
+
+const DEFAULT_FIELDS = { title: 3, body: 1 };
+
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: [1, 0.5, 0.25] };
+
+// Lowercase words without accents: "Café au lait!" -> ['cafe', 'au', 'lait']
+export function tokenize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+// `fields` maps each searchable field to how much a match in it counts
+export function buildSearchIndex(docs, { fields = DEFAULT_FIELDS } = {}) {
+  const postings = new Map();
+
+  docs.forEach((doc, docIndex) => {
+    const weights = new Map();
+    Object.entries(fields).forEach(([field, weight]) => {
+      tokenize(String(doc[field] ?? '')).forEach(term => {
+        weights.set(term, (weights.get(term) ?? 0) + weight);
+      });
+    });
+
+    weights.forEach((weight, term) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([docIndex, weight]);
+    });
+  });
+
+  // Sorted, so the terms sharing a prefix sit next to each other
+  const terms = [...postings.keys()].sort();
+
+  return { docs, postings, terms, bigrams: indexBigrams(terms), builtAt: Date.now() };
+}
+
+// Letter pairs of a term, with ^ and $ marking its start and end:
+// "post" -> ['^p', 'po', 'os', 'st', 't$']
+function bigramsOf(term) {
+  const padded = `^${term}$`;
+  const bigrams = [];
+  for (let i = 0; i < padded.length - 1; i++) bigrams.push(padded.slice(i, i + 2));
+  return bigrams;
+}
+
+// term length -> bigram -> positions in `terms` of the terms containing it
+function indexBigrams(terms) {
+  const byLength = new Map();
+
+  terms.forEach((term, termIndex) => {
+    if (!byLength.has(term.length)) byLength.set(term.length, new Map());
+    const byBigram = byLength.get(term.length);
+
+    new Set(bigramsOf(term)).forEach(bigram => {
+      if (!byBigram.has(bigram)) byBigram.set(bigram, []);
+      byBigram.get(bigram).push(termIndex);
+    });
+  });
+
+  return byLength;
+}
+
+// Returns [{ doc, score, terms }], best first. `terms` are the index
+// terms that matched, for highlighting.
+export function searchIndex(index, query, { limit = 10 } = {}) {
+  const words = [...new Set(tokenize(query))];
+  if (words.length === 0) return [];
+
+  let hits = null;
+  for (const word of words) {
+    const wordHits = new Map();
+
+    expandWord(index, word).forEach((matchWeight, term) => {
+      const docsWithTerm = index.postings.get(term);
+      const idf = Math.log(1 + index.docs.length / docsWithTerm.length);
+
+      docsWithTerm.forEach(([docIndex, fieldWeight]) => {
+        const score = matchWeight * idf * fieldWeight;
+        const hit = wordHits.get(docIndex) ?? { score: 0, terms: [] };
+        // A word that matches several terms in one document counts once,
+        // at its best
+        wordHits.set(docIndex, { score: Math.max(hit.score, score), terms: [...hit.terms, term] });
+      });
+    });
+
+    // Only documents that matched every word so far stay in the running
+    if (hits === null) {
+      hits = wordHits;
+    } else {
+      const combined = new Map();
+      hits.forEach((hit, docIndex) => {
+        const wordHit = wordHits.get(docIndex);
+        if (wordHit) {
+          combined.set(docIndex, { score: hit.score + wordHit.score, terms: [...hit.terms, ...wordHit.terms] });
+        }
+      });
+      hits = combined;
+    }
+    if (hits.size === 0) return [];
+  }
+
+  return [...hits]
+    .map(([docIndex, { score, terms }]) => ({ doc: index.docs[docIndex], score, terms }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// term -> match weight for every index term that `word` could mean
+function expandWord(index, word) {
+  const matches = new Map();
+  if (index.postings.has(word)) matches.set(word, MATCH_WEIGHTS.exact);
+
+  for (let i = lowerBound(index.terms, word); i < index.terms.length; i++) {
+    const term = index.terms[i];
+    if (!term.startsWith(word)) break;
+    if (!matches.has(term)) matches.set(term, MATCH_WEIGHTS.prefix);
+  }
+
+  // The word is spelled like something in the index, so it isn't a typo
+  if (matches.size > 0) return matches;
+
+  const maxTypos = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+  if (maxTypos > 0) {
+    fuzzyCandidates(index, word, maxTypos).forEach(term => {
+      const typos = editDistance(word, term, maxTypos);
+      if (typos <= maxTypos) matches.set(term, MATCH_WEIGHTS.fuzzy[typos]);
+    });
+  }
+
+  return matches;
+}
+
+// Index terms that might be within `maxTypos` of `word`. A typo changes
+// the length by at most one and breaks at most three of the word's
+// bigrams (a swap breaks three, the other edits two), so a term that
+// shares fewer can't be close enough.
+function fuzzyCandidates(index, word, maxTypos) {
+  const bigrams = [...new Set(bigramsOf(word))];
+  const needed = bigrams.length - 3 * maxTypos;
+  const candidates = [];
+
+  for (let length = word.length - maxTypos; length <= word.length + maxTypos; length++) {
+    // Very short or repetitive words: any term of this length could do
+    if (needed <= 0) {
+      candidates.push(...index.terms.filter(term => term.length === length));
+      continue;
+    }
+
+    const byBigram = index.bigrams.get(length);
+    if (!byBigram) continue;
+
+    const shared = new Map();
+    bigrams.forEach(bigram => {
+      (byBigram.get(bigram) ?? []).forEach(termIndex => {
+        shared.set(termIndex, (shared.get(termIndex) ?? 0) + 1);
+      });
+    });
+    shared.forEach((count, termIndex) => {
+      if (count >= needed) candidates.push(index.terms[termIndex]);
+    });
+  }
+
+  return candidates;
+}
+
+// First position in the sorted `terms` that isn't before `word`
+function lowerBound(terms, word) {
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (terms[middle] < word) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+// Edits (insert, delete, substitute, swap two neighbours) to turn `a` into
+// `b`. Gives up and returns max + 1 as soon as it must be more than `max`.
+function editDistance(a, b, max) {
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+}
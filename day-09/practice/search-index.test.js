@@ -0,0 +1,110 @@
+// Tests for search-index.js
+// Run with: node --test day-09/practice/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchIndex, searchIndex, tokenize } from './search-index.js';
+
+const docs = [
+  { id: 1, title: 'Post office', body: 'Stamps and letters' },
+  { id: 2, title: 'Possimus', body: 'Quia et suscipit' },
+  { id: 3, title: 'Reprehenderit', body: 'Provident occaecati' },
+  { id: 4, title: 'Letters', body: 'A post about letters and stamps' },
+  { id: 5, title: 'Café crème', body: 'Naïve résumé' }
+];
+
+const index = buildSearchIndex(docs);
+
+const ids = (query, options) => searchIndex(index, query, options).map(result => result.doc.id);
+const termsOf = (query) => [...new Set(searchIndex(index, query).flatMap(result => result.terms))].sort();
+
+test('tokenize lowercases and drops accents and punctuation', () => {
+  assert.deepEqual(tokenize('Café au lait!'), ['cafe', 'au', 'lait']);
+  assert.deepEqual(tokenize('  '), []);
+});
+
+test('an exact word matches', () => {
+  assert.deepEqual(termsOf('stamps'), ['stamps']);
+  assert.deepEqual(ids('stamps').sort(), [1, 4]);
+});
+
+test('accents are ignored in queries and documents', () => {
+  assert.deepEqual(ids('cafe'), [5]);
+  assert.deepEqual(ids('Résumé'), [5]);
+});
+
+test('a prefix matches every term that starts with it', () => {
+  assert.deepEqual(termsOf('pos'), ['possimus', 'post']);
+  // Terms sorted around the prefix don't match
+  assert.deepEqual(termsOf('prov'), ['provident']);
+  assert.deepEqual(termsOf('zz'), []);
+});
+
+test('one typo is forgiven from four letters', () => {
+  // Swapped neighbours
+  assert.deepEqual(termsOf('psot'), ['post']);
+  // Substituted, missing and extra letters
+  assert.deepEqual(termsOf('stemps'), ['stamps']);
+  assert.deepEqual(termsOf('stmps'), ['stamps']);
+  assert.deepEqual(termsOf('lettters'), ['letters']);
+  // Shorter words must be spelled right
+  assert.deepEqual(termsOf('qiua'), ['quia']);
+  assert.deepEqual(termsOf('qai'), []);
+});
+
+test('two typos are forgiven from eight letters', () => {
+  assert.deepEqual(termsOf('porvidnet'), ['provident']);
+  assert.deepEqual(termsOf('reprehendreit'), ['reprehenderit']);
+  assert.deepEqual(termsOf('occeacatti'), ['occaecati']);
+  // Three is too many
+  assert.deepEqual(termsOf('pvorivdnet'), []);
+});
+
+test('typos are not looked for when the word matches as typed', () => {
+  // "letter" is a prefix of "letters", so no typo matches are added
+  assert.deepEqual(termsOf('letter'), ['letters']);
+});
+
+test('every query word has to match', () => {
+  assert.deepEqual(ids('post stamps').sort(), [1, 4]);
+  assert.deepEqual(ids('post quia'), []);
+  assert.deepEqual(ids('post zzzz'), []);
+  // Repeated words count once
+  assert.deepEqual(ids('quia quia'), [2]);
+});
+
+test('title matches rank above body matches', () => {
+  assert.deepEqual(ids('letters'), [4, 1]);
+  assert.deepEqual(ids('post'), [1, 4]);
+});
+
+test('exact matches score above prefix matches, and those above typos', () => {
+  const scoreOfPostOffice = (query) => searchIndex(index, query).find(result => result.doc.id === 1).score;
+
+  assert.ok(scoreOfPostOffice('post') > scoreOfPostOffice('pos'));
+  assert.ok(scoreOfPostOffice('pos') > scoreOfPostOffice('psot'));
+});
+
+test('rarer terms count for more', () => {
+  const rare = buildSearchIndex([
+    { id: 1, title: 'common', body: '' },
+    { id: 2, title: 'common rare', body: '' },
+    { id: 3, title: 'common', body: '' }
+  ]);
+  const [result] = searchIndex(rare, 'rare');
+  const commonScore = searchIndex(rare, 'common').find(r => r.doc.id === 2).score;
+
+  assert.equal(result.doc.id, 2);
+  assert.ok(result.score > commonScore);
+});
+
+test('limit caps the number of results', () => {
+  assert.equal(ids('p', { limit: 2 }).length, 2);
+  assert.equal(ids('p', { limit: Infinity }).length, 4);
+  assert.deepEqual(ids(''), []);
+});
+
+test('the index can be posted to and from a worker', () => {
+  const copy = structuredClone(index);
+  assert.deepEqual(searchIndex(copy, 'porvidnet').map(r => r.doc.id), [3]);
+});
@@ -0,0 +1,9 @@
+// Builds a search index off the main thread, so a large corpus doesn't
+// freeze typing. Receives { docs, options } and posts back the index.
+
+import { buildSearchIndex } from './search-index';
+
+self.onmessage = (e) => {
+  const { docs, options } = e.data;
+  self.postMessage(buildSearchIndex(docs, options));
+};
@@ -0,0 +1,117 @@
+// Every result for the current search, under the LiveSearch box
+// mode "pages" shows one page at a time with Previous/Next; "infinite"
+// keeps adding a page as the end of the list scrolls into view (or on
+// "Load more"). `page` is the page shown, or in infinite mode how many
+// pages are shown, so the URL can restore either. `query` is what was
+// typed, for highlighting.
+
+import { useEffect, useRef } from 'react';
+import { Button, tokens } from '../../shared/ui';
+import { HighlightMatch } from './highlight-match';
+
+const { color, space, radius, fontSize } = tokens;
+
+export function SearchResults({ results, query, mode = 'pages', pageSize = 10, page, onPageChange, onSelect }) {
+  const total = results.length;
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  // A shared link may ask for a page the results no longer reach
+  const currentPage = Math.min(page, pageCount);
+  const start = mode === 'pages' ? (currentPage - 1) * pageSize : 0;
+  const end = Math.min(currentPage * pageSize, total);
+  const hasMore = mode === 'infinite' && end < total;
+
+  const sentinelRef = useRef(null);
+  // The latest callback, so a new one on every render of the parent
+  // doesn't reconnect the observer
+  const onPageChangeRef = useRef(onPageChange);
+  useEffect(() => {
+    onPageChangeRef.current = onPageChange;
+  });
+
+  // Loading more only replaces the history entry, so Back leaves the search
+  // instead of scrolling it back up a page at a time
+  useEffect(() => {
+    if (!hasMore || typeof IntersectionObserver === 'undefined') return;
+
+    // One page per observer: the next one is set up once this page shows
+    let requested = false;
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries[0].isIntersecting || requested) return;
+      requested = true;
+      onPageChangeRef.current(currentPage + 1, { replace: true });
+    }, { rootMargin: '200px' });
+    observer.observe(sentinelRef.current);
+
+    return () => observer.disconnect();
+  }, [hasMore, currentPage]);
+
+  if (total === 0) return null;
+
+  return (
+    <section aria-label="All results" style={{ marginTop: space.xl }}>
+      <p style={{ fontSize: fontSize.sm, color: color.muted }}>
+        {mode === 'pages' ? `Showing ${start + 1}–${end} of ${total}` : `Showing ${end} of ${total}`}
+        {total === 1 ? ' result' : ' results'}
+      </p>
+
+      <ul style={{ listStyle: 'none', margin: 0, padding: 0 }}>
+        {results.slice(start, end).map(({ doc, terms }) => (
+          <li
+            key={doc.id}
+            style={{
+              padding: space.md,
+              marginBottom: space.md,
+              border: `1px solid ${color.border}`,
+              borderRadius: radius.sm,
+              background: color.surface
+            }}
+          >
+            <Button
+              variant="ghost"
+              onClick={() => onSelect(doc)}
+              style={{ padding: 0, fontWeight: 'bold', textAlign: 'left' }}
+            >
+              <HighlightMatch text={doc.title} terms={terms} query={query} />
+            </Button>
+            <p style={{ margin: `${space.xs} 0 0`, color: color.muted }}>
+              <HighlightMatch text={doc.body} terms={terms} query={query} />
+            </p>
+          </li>
+        ))}
+      </ul>
+
+      {mode === 'pages' && pageCount > 1 && (
+        <nav
+          aria-label="Result pages"
+          style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}
+        >
+          <Button
+            variant="secondary"
+            size="sm"
+            disabled={currentPage === 1}
+            onClick={() => onPageChange(currentPage - 1)}
+          >
+            Previous
+          </Button>
+          <span aria-current="page">Page {currentPage} of {pageCount}</span>
+          <Button
+            variant="secondary"
+            size="sm"
+            disabled={currentPage === pageCount}
+            onClick={() => onPageChange(currentPage + 1)}
+          >
+            Next
+          </Button>
+        </nav>
+      )}
+
+      {hasMore && (
+        <div ref={sentinelRef} style={{ textAlign: 'center' }}>
+          <Button variant="secondary" size="sm" onClick={() => onPageChange(currentPage + 1, { replace: true })}>
+            Load more
+          </Button>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,30 @@
+// LiveSearch state in the URL: ?q=<query>&page=<page>
+// Other query string parameters are left alone, and page 1 and an empty
+// query are left out, so a fresh search keeps a clean URL.
+
+export function readSearchUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const page = parseInt(params.get('page'), 10);
+
+  return {
+    query: params.get('q') ?? '',
+    page: page > 0 ? page : 1
+  };
+}
+
+// Pushes a history entry, or with `replace` updates the current one.
+// Does nothing when the URL already matches.
+export function writeSearchUrl({ query, page }, { replace = false } = {}) {
+  const params = new URLSearchParams(window.location.search);
+  if (query) params.set('q', query);
+  else params.delete('q');
+  if (query && page > 1) params.set('page', String(page));
+  else params.delete('page');
+
+  const search = params.toString();
+  const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+  if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+  if (replace) window.history.replaceState(window.history.state, '', url);
+  else window.history.pushState(window.history.state, '', url);
+}
@@ -1,39 +1,46 @@
 import { useState } from 'react';
+import { Button, Card, TextInput, tokens } from '../../shared/ui';
+import { queryClient, useQuery } from '../../shared/query';
+
+const { color, space, radius, fontSize } = tokens;
+
+// Weather doesn't change much in ten minutes
+const WEATHER_STALE_TIME = 10 * 60 * 1000;
+
+async function fetchWeather(cityName) {
+  // Note: You'll need an API key from openweathermap.org
+  const API_KEY = 'YOUR_API_KEY'; // Replace with your key
+  const response = await fetch(
+    `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(cityName)}&appid=${API_KEY}&units=metric`
+  );
+  
+  if (!response.ok) {
+    throw new Error('City not found');
+  }
+  
+  return response.json();
+}
 
 function WeatherApp() {
   const [city, setCity] = useState('');
-  const [weather, setWeather] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  
-  const fetchWeather = async (cityName) => {
-    setLoading(true);
-    setError(null);
-    
-    try {
-      // Note: You'll need an API key from openweathermap.org
-      const API_KEY = 'YOUR_API_KEY'; // Replace with your key
-      const response = await fetch(
-        `https://api.openweathermap.org/data/2.5/weather?q=${cityName}&appid=${API_KEY}&units=metric`
-      );
-      
-      if (!response.ok) {
-        throw new Error('City not found');
-      }
-      
-      const data = await response.json();
-      setWeather(data);
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const [searchedCity, setSearchedCity] = useState('');
+  const { data: weather, error, isLoading: loading } = useQuery(
+    ['weather', searchedCity.toLowerCase()],
+    () => fetchWeather(searchedCity),
+    { enabled: Boolean(searchedCity), staleTime: WEATHER_STALE_TIME }
+  );
   
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (city.trim()) {
-      fetchWeather(city);
+    const nextCity = city.trim();
+    if (!nextCity) return;
+    
+    // Same city: the key doesn't change, so ask again explicitly
+    // (e.g. to retry after an error)
+    if (nextCity.toLowerCase() === searchedCity.toLowerCase()) {
+      queryClient.invalidate(['weather', searchedCity.toLowerCase()]);
+    } else {
+      setSearchedCity(nextCity);
     }
   };
   
@@ -41,88 +48,62 @@ function WeatherApp() {
     <div style={{
       maxWidth: '500px',
       margin: '0 auto',
-      padding: '20px',
+      padding: space.xl,
       background: 'linear-gradient(to bottom, #87CEEB, #4682B4)',
       minHeight: '100vh'
     }}>
-      <h1 style={{ textAlign: 'center', color: 'white' }}>Weather App</h1>
+      <h1 style={{ textAlign: 'center', color: color.textInverse }}>Weather App</h1>
       
-      <form onSubmit={handleSubmit} style={{ marginBottom: '20px' }}>
-        <div style={{ display: 'flex' }}>
-          <input
-            type="text"
+      <form onSubmit={handleSubmit} style={{ marginBottom: space.xl }}>
+        <div style={{ display: 'flex', gap: space.md }}>
+          <TextInput
+            size="lg"
             value={city}
             onChange={(e) => setCity(e.target.value)}
             placeholder="Enter city name..."
-            style={{
-              flex: 1,
-              padding: '10px',
-              fontSize: '16px',
-              border: 'none',
-              borderRadius: '4px 0 0 4px'
-            }}
+            aria-label="City"
+            style={{ flex: 1 }}
           />
-          <button
-            type="submit"
-            disabled={loading}
-            style={{
-              padding: '10px 20px',
-              background: '#FF6347',
-              color: 'white',
-              border: 'none',
-              borderRadius: '0 4px 4px 0',
-              cursor: loading ? 'not-allowed' : 'pointer'
-            }}
-          >
+          <Button type="submit" loading={loading} loadingLabel="Searching...">
             Search
-          </button>
+          </Button>
         </div>
       </form>
       
       {loading && (
-        <div style={{
-          textAlign: 'center',
-          padding: '40px',
-          background: 'white',
-          borderRadius: '8px'
-        }}>
+        <Card elevated style={{ padding: '40px', textAlign: 'center' }}>
           Loading weather data...
-        </div>
+        </Card>
       )}
       
-      {error && (
+      {error && !weather && !loading && (
         <div style={{
-          padding: '20px',
-          background: '#ffcccc',
-          color: '#cc0000',
-          borderRadius: '8px',
+          padding: space.xl,
+          background: color.errorBackground,
+          color: color.errorText,
+          borderRadius: radius.md,
           textAlign: 'center'
         }}>
-          {error}
+          {error.message}
         </div>
       )}
       
       {weather && !loading && (
-        <div style={{
-          background: 'white',
-          borderRadius: '8px',
-          padding: '20px',
-          boxShadow: '0 4px 6px rgba(0,0,0,0.1)'
-        }}>
-          <h2 style={{ textAlign: 'center', marginBottom: '20px' }}>
+        <Card elevated>
+          <h2 style={{ textAlign: 'center', marginBottom: space.xl }}>
             {weather.name}, {weather.sys.country}
           </h2>
           
-          <div style={{ textAlign: 'center', marginBottom: '20px' }}>
+          <div style={{ textAlign: 'center', marginBottom: space.xl }}>
             <img
               src={`http://openweathermap.org/img/wn/${weather.weather[0].icon}@2x.png`}
               alt={weather.weather[0].description}
               style={{ width: '100px' }}
             />
-            <h3 style={{ margin: '10px 0' }}>
+            <h3 style={{ margin: `${space.md} 0` }}>
               {Math.round(weather.main.temp)}°C
             </h3>
-            <p style={{ color: '#666', fontSize: '18px' }}>
+            <p style={{ color: color.muted, fontSize: fontSize.lg }}>
               {weather.weather[0].description}
             </p>
           </div>
@@ -130,31 +111,28 @@ function WeatherApp() {
           <div style={{
             display: 'grid',
             gridTemplateColumns: '1fr 1fr',
-            gap: '10px',
-            marginTop: '20px'
+            gap: space.md,
+            marginTop: space.xl
           }}>
-            <div style={{ textAlign: 'center', padding: '10px', background: '#f0f0f0', borderRadius: '4px' }}>
-              <p style={{ margin: 0, color: '#666' }}>Feels Like</p>
-              <strong>{Math.round(weather.main.feels_like)}°C</strong>
-            </div>
-            <div style={{ textAlign: 'center', padding: '10px', background: '#f0f0f0', borderRadius: '4px' }}>
-              <p style={{ margin: 0, color: '#666' }}>Humidity</p>
-              <strong>{weather.main.humidity}%</strong>
-            </div>
-            <div style={{ textAlign: 'center', padding: '10px', background: '#f0f0f0', borderRadius: '4px' }}>
-              <p style={{ margin: 0, color: '#666' }}>Wind</p>
-              <strong>{weather.wind.speed} m/s</strong>
-            </div>
-            <div style={{ textAlign: 'center', padding: '10px', background: '#f0f0f0', borderRadius: '4px' }}>
-              <p style={{ margin: 0, color: '#666' }}>Pressure</p>
-              <strong>{weather.main.pressure} hPa</strong>
-            </div>
+            <WeatherStat label="Feels Like" value={`${Math.round(weather.main.feels_like)}°C`} />
+            <WeatherStat label="Humidity" value={`${weather.main.humidity}%`} />
+            <WeatherStat label="Wind" value={`${weather.wind.speed} m/s`} />
+            <WeatherStat label="Pressure" value={`${weather.main.pressure} hPa`} />
           </div>
-        </div>
+        </Card>
       )}
     </div>
   );
 }
 
+function WeatherStat({ label, value }) {
+  return (
+    <div style={{ textAlign: 'center', padding: space.md, background: color.subtle, borderRadius: radius.sm }}>
+      <p style={{ margin: 0, color: color.muted }}>{label}</p>
+      <strong>{value}</strong>
+    </div>
+  );
+}
+
 export default WeatherApp;
 
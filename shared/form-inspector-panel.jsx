@@ -0,0 +1,351 @@
+// The development half of form-inspector.js. Import FormInspector from
+// there instead, or this ships in production builds.
+//
+// Events are picked up as they bubble out of the wrapped form, before
+// React's own handlers see them. The render they cause is compared with
+// the last recorded state, and the difference goes on the event.
+
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+const MAX_EVENTS = 200;
+// Replay keeps the recorded pauses between events, within these bounds
+const MIN_REPLAY_GAP = 50;
+const MAX_REPLAY_GAP = 1000;
+const MASK = '••••••';
+
+const isField = (el) => ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName);
+const isToggle = (el) => el.type === 'checkbox' || el.type === 'radio';
+
+// How a field is found again on replay
+const fieldKey = (el) => el.name || el.id || el.getAttribute('aria-label') || '';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// { values: { email: 'a' } } -> { 'values.email': 'a' }. Anything deeper
+// (like a phone number object) is compared as a whole.
+function flatten(state) {
+  const flat = {};
+  Object.entries(state).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([subKey, subValue]) => {
+        flat[`${key}.${subKey}`] = subValue;
+      });
+    } else {
+      flat[key] = value;
+    }
+  });
+  return flat;
+}
+
+function diffState(before, after) {
+  const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...paths]
+    .filter(path => JSON.stringify(before[path]) !== JSON.stringify(after[path]))
+    .map(path => ({ path, before: before[path], after: after[path] }));
+}
+
+const format = (value) => (value === undefined ? 'undefined' : JSON.stringify(value));
+
+const maskValue = (value) => (value === '' || value === undefined ? value : MASK);
+
+const isSensitivePath = (path, sensitive) =>
+  sensitive.some(name => path === `values.${name}`);
+
+function maskState(state, sensitive) {
+  if (!state.values || typeof state.values !== 'object') return state;
+
+  const values = { ...state.values };
+  sensitive.forEach(name => {
+    if (name in values) values[name] = maskValue(values[name]);
+  });
+  return { ...state, values };
+}
+
+function maskEvent(event, sensitive) {
+  return {
+    ...event,
+    value: sensitive.includes(event.field) ? maskValue(event.value) : event.value,
+    diff: event.diff.map(change => (isSensitivePath(change.path, sensitive)
+      ? { ...change, before: maskValue(change.before), after: maskValue(change.after) }
+      : change))
+  };
+}
+
+// React keeps track of the value it last rendered. Going through the
+// prototype's setter makes the input event look like a real edit.
+function setNativeValue(el, value) {
+  const { set } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value');
+  set.call(el, value);
+}
+
+// Plays one recorded event on the form's DOM. Returns false when its
+// target isn't rendered (e.g. a field on another wizard step).
+function replayEvent(container, event) {
+  if (event.type === 'submit') {
+    const form = container.querySelector('form');
+    if (!form) return false;
+    // Not requestSubmit(), which would run the browser's validation first
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    return true;
+  }
+
+  if (event.type === 'click') {
+    const button = [...container.querySelectorAll('button')]
+      .find(b => b.textContent.trim() === event.field);
+    if (!button) return false;
+    button.click();
+    return true;
+  }
+
+  const fields = [...container.querySelectorAll('input, select, textarea')]
+    .filter(el => fieldKey(el) === event.field);
+  const el = fields.length > 0 && fields[0].type === 'radio'
+    ? fields.find(f => f.value === event.value)
+    : fields[0];
+  if (!el) return false;
+
+  if (event.type === 'blur') {
+    el.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+  } else if (isToggle(el)) {
+    const checked = el.type === 'radio' || event.value;
+    if (el.checked !== checked) el.click();
+  } else {
+    setNativeValue(el, event.value);
+    el.dispatchEvent(new Event(el.tagName === 'SELECT' ? 'change' : 'input', { bubbles: true }));
+  }
+  return true;
+}
+
+const describeEvent = (event) => {
+  if (event.type === 'change') return `change ${event.field} = ${format(event.value)}`;
+  if (event.field) return `${event.type} ${event.field}`;
+  return event.type;
+};
+
+const EVENT_COLORS = {
+  change: '#9cdcfe',
+  blur: '#c586c0',
+  submit: '#4ec9b0',
+  click: '#4ec9b0',
+  reset: '#ce9178',
+  update: '#888'
+};
+
+const buttonStyle = {
+  padding: '2px 8px',
+  background: '#333',
+  color: '#eee',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
+
+const headingStyle = { margin: '10px 0 4px', fontSize: '12px', color: '#aaa' };
+
+export function FormInspectorPanel({ name = 'Form', state, sensitive = [], onReset, children }) {
+  const [timeline, setTimeline] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const containerRef = useRef(null);
+  const flatState = flatten(state);
+  const lastState = useRef(flatState);
+  const startedAt = useRef(Date.now());
+  const nextId = useRef(1);
+  // The event whose re-render hasn't been seen yet
+  const pending = useRef(null);
+
+  const addEvent = (event) => {
+    setTimeline(prev => [...prev, event].slice(-MAX_EVENTS));
+  };
+
+  const record = (type, field, value) => {
+    const id = nextId.current++;
+    pending.current = id;
+    // The form handles the event right after this; if that doesn't change
+    // any state by the next task, later changes aren't this event's doing
+    setTimeout(() => {
+      if (pending.current === id) pending.current = null;
+    }, 0);
+    addEvent({ id, time: Date.now() - startedAt.current, type, field, value, diff: [] });
+  };
+
+  // Layout effect, so the diff lands before the pending event expires
+  useLayoutEffect(() => {
+    const diff = diffState(lastState.current, flatState);
+    if (diff.length === 0) return;
+    lastState.current = flatState;
+
+    const id = pending.current;
+    pending.current = null;
+    if (id !== null) {
+      setTimeline(prev => prev.map(event => (event.id === id ? { ...event, diff } : event)));
+    } else {
+      // Async work finishing, like a server check or the submit resolving
+      addEvent({ id: nextId.current++, time: Date.now() - startedAt.current, type: 'update', diff });
+    }
+  });
+
+  useEffect(() => {
+    const container = containerRef.current;
+
+    const handleInput = (e) => {
+      const el = e.target;
+      if (isField(el) && el.tagName !== 'SELECT' && !isToggle(el)) record('change', fieldKey(el), el.value);
+    };
+    // Selects also fire input, but change is what React listens to
+    const handleChange = (e) => {
+      if (e.target.tagName === 'SELECT') record('change', fieldKey(e.target), e.target.value);
+    };
+    const handleBlur = (e) => {
+      if (isField(e.target)) record('blur', fieldKey(e.target));
+    };
+    const handleSubmit = () => record('submit');
+    // React handles checkbox and radio changes on click, before change fires.
+    // Submit buttons are covered by the submit event.
+    const handleClick = (e) => {
+      const el = e.target;
+      if (isField(el) && isToggle(el)) {
+        record('change', fieldKey(el), el.type === 'checkbox' ? el.checked : el.value);
+        return;
+      }
+      const button = el.closest('button');
+      if (button && button.type === 'button') record('click', button.textContent.trim());
+    };
+
+    const listeners = {
+      input: handleInput,
+      change: handleChange,
+      focusout: handleBlur,
+      submit: handleSubmit,
+      click: handleClick
+    };
+    Object.entries(listeners).forEach(([type, listener]) => container.addEventListener(type, listener));
+    return () => {
+      Object.entries(listeners).forEach(([type, listener]) => container.removeEventListener(type, listener));
+    };
+  }, []);
+
+  const clear = () => {
+    setTimeline([]);
+    pending.current = null;
+    startedAt.current = Date.now();
+  };
+
+  // Starts a new timeline, so the replay can be compared with the recording
+  const replay = async () => {
+    const steps = timeline.filter(event => event.type !== 'update' && event.type !== 'reset');
+    if (steps.length === 0) return;
+
+    setIsReplaying(true);
+    clear();
+    if (onReset) {
+      record('reset');
+      onReset();
+    }
+
+    let previousTime = steps[0].time;
+    for (const step of steps) {
+      await wait(Math.min(Math.max(step.time - previousTime, MIN_REPLAY_GAP), MAX_REPLAY_GAP));
+      previousTime = step.time;
+
+      // Unmounted while waiting
+      if (!containerRef.current) return;
+      if (!replayEvent(containerRef.current, step)) {
+        console.warn(`Form inspector: couldn't find "${step.field}" to replay ${step.type}`);
+      }
+    }
+
+    setIsReplaying(false);
+  };
+
+  const copyAsJson = async () => {
+    const json = JSON.stringify({
+      form: name,
+      state: maskState(state, sensitive),
+      timeline: timeline.map(event => maskEvent(event, sensitive))
+    }, null, 2);
+
+    try {
+      await navigator.clipboard.writeText(json);
+      setCopyStatus('Copied!');
+    } catch (err) {
+      // Clipboard needs a secure context; the console still works
+      console.log(json);
+      setCopyStatus('Copy failed, logged to console');
+    }
+    setTimeout(() => setCopyStatus(''), 2000);
+  };
+
+  return (
+    <>
+      <div ref={containerRef} style={{ display: 'contents' }}>
+        {children}
+      </div>
+
+      <aside
+        aria-label={`${name} inspector`}
+        style={{
+          position: 'fixed',
+          right: '10px',
+          bottom: '10px',
+          zIndex: 1000,
+          width: isOpen ? '380px' : 'auto',
+          maxHeight: '70vh',
+          overflowY: 'auto',
+          padding: '8px 10px',
+          background: '#1e1e1e',
+          color: '#eee',
+          borderRadius: '4px',
+          boxShadow: '0 2px 10px rgba(0,0,0,0.3)',
+          fontFamily: 'monospace',
+          fontSize: '12px'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <strong style={{ flex: 1 }}>{name}</strong>
+          {isOpen && (
+            <>
+              <button onClick={replay} disabled={isReplaying || timeline.length === 0} style={buttonStyle}>
+                {isReplaying ? 'Replaying…' : 'Replay'}
+              </button>
+              <button onClick={clear} disabled={isReplaying} style={buttonStyle}>Clear</button>
+              <button onClick={copyAsJson} style={buttonStyle}>Copy JSON</button>
+            </>
+          )}
+          <button onClick={() => setIsOpen(!isOpen)} aria-expanded={isOpen} style={buttonStyle}>
+            {isOpen ? 'Hide' : 'Inspect'}
+          </button>
+        </div>
+        {copyStatus && <div role="status" style={{ marginTop: '4px', color: '#4ec9b0' }}>{copyStatus}</div>}
+
+        {isOpen && (
+          <>
+            <h4 style={headingStyle}>State</h4>
+            <pre style={{ margin: 0, whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>
+              {JSON.stringify(maskState(state, sensitive), null, 2)}
+            </pre>
+
+            <h4 style={headingStyle}>Timeline ({timeline.length})</h4>
+            {timeline.length === 0 && <p style={{ margin: 0, color: '#888' }}>Nothing recorded yet</p>}
+            <ol style={{ margin: 0, padding: 0, listStyle: 'none' }}>
+              {timeline.map(event => maskEvent(event, sensitive)).map(event => (
+                <li key={event.id} style={{ padding: '4px 0', borderTop: '1px solid #333' }}>
+                  <span style={{ color: '#888' }}>+{(event.time / 1000).toFixed(2)}s </span>
+                  <span style={{ color: EVENT_COLORS[event.type] }}>{describeEvent(event)}</span>
+                  {event.diff.map(change => (
+                    <div key={change.path} style={{ paddingLeft: '12px', color: '#bbb', wordBreak: 'break-all' }}>
+                      {change.path}: {format(change.before)} → {format(change.after)}
+                    </div>
+                  ))}
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+      </aside>
+    </>
+  );
+}
@@ -0,0 +1,23 @@
+// Dev-only form inspector
+// Wrap a form to get an overlay panel with its live state and a timeline of
+// every change, blur and submit, each with the state diff it caused:
+//
+//   <FormInspector name="LoginForm" state={{ values: { email, password } }} sensitive={['password']}>
+//     <form>...</form>
+//   </FormInspector>
+//
+// `state` is whatever is worth watching, usually { values, touched, errors }.
+// Fields are told apart by their name (or id, or aria-label), which replay
+// uses to find them again. `values.<field>` of a `sensitive` field is masked
+// in the panel and in the copied JSON. `onReset`, if given, runs before a
+// replay so it starts from a clean form.
+//
+// In production builds this is a component that only renders its children:
+// Vite replaces `import.meta.env.DEV` with `false`, so the panel module is
+// never used and gets dropped from the bundle.
+
+import { FormInspectorPanel } from './form-inspector-panel';
+
+const PassThrough = ({ children }) => children;
+
+export const FormInspector = import.meta.env.DEV ? FormInspectorPanel : PassThrough;
@@ -0,0 +1,3 @@
+// Shared data fetching: a keyed cache plus a hook to read from it
+export { createQueryClient, queryClient } from './query-client';
+export { useQuery } from './use-query';
@@ -0,0 +1,197 @@
+// Query cache
+// Remembers fetched data by key, so going back to something already seen
+// shows it straight away while a fresh copy loads in the background
+// (stale-while-revalidate).
+//
+// Keys are arrays, e.g. ['user', 3]. Data is fresh for `staleTime` ms
+// after it arrives; after that it is still shown, but refetched the next
+// time a component asks for it or the window regains focus. Entries nobody
+// is watching are dropped after `gcTime` ms. Requests for the same key
+// share one fetch.
+//
+// Fetchers get `{ key, signal }`. When the last component watching a key
+// goes away (unmounts, or switches to another key) its running fetch is
+// aborted and whatever it returns afterwards is thrown away.
+
+const DEFAULT_STALE_TIME = 0;
+const DEFAULT_GC_TIME = 5 * 60 * 1000;
+
+// What getState returns for keys that were never fetched
+const EMPTY_STATE = {
+  data: undefined,
+  error: null,
+  updatedAt: 0,
+  isFetching: false,
+  isInvalidated: false
+};
+
+export const hashKey = (key) => JSON.stringify(key);
+
+// ['user'] matches ['user', 1] and ['user', 2]
+const startsWith = (key, prefix) =>
+  prefix.every((part, index) => hashKey(part) === hashKey(key[index]));
+
+export function createQueryClient({
+  staleTime = DEFAULT_STALE_TIME,
+  gcTime = DEFAULT_GC_TIME,
+  refetchOnWindowFocus = true
+} = {}) {
+  const entries = new Map();
+  let stopWatchingFocus = null;
+
+  const getEntry = (key) => {
+    const hash = hashKey(key);
+    if (!entries.has(hash)) {
+      entries.set(hash, {
+        key,
+        state: EMPTY_STATE,
+        listeners: new Set(),
+        promise: null,
+        controller: null,
+        fetcher: null,
+        staleTime,
+        gcTimer: null
+      });
+    }
+    return entries.get(hash);
+  };
+
+  // State objects are replaced, never changed, so React can compare them
+  const setState = (entry, changes) => {
+    entry.state = { ...entry.state, ...changes };
+    entry.listeners.forEach(listener => listener());
+  };
+
+  const scheduleGc = (entry) => {
+    clearTimeout(entry.gcTimer);
+    if (entry.listeners.size > 0 || entry.promise) return;
+    entry.gcTimer = setTimeout(() => entries.delete(hashKey(entry.key)), gcTime);
+  };
+
+  const isStale = (entry) =>
+    entry.state.isInvalidated ||
+    entry.state.data === undefined ||
+    Date.now() - entry.state.updatedAt > entry.staleTime;
+
+  // Resolves with the data or rejects with the error. While a fetch for
+  // the key is running, callers get that one instead of a new request.
+  const fetchQuery = (key, fetcher) => {
+    const entry = getEntry(key);
+    if (fetcher) entry.fetcher = fetcher;
+    if (entry.promise) return entry.promise;
+
+    const controller = new AbortController();
+    setState(entry, { isFetching: true });
+    const promise = Promise.resolve()
+      .then(() => {
+        controller.signal.throwIfAborted();
+        return entry.fetcher({ key, signal: controller.signal });
+      })
+      .then(
+        (data) => {
+          if (entry.promise !== promise) return data;
+          entry.promise = null;
+          entry.controller = null;
+          setState(entry, { data, error: null, updatedAt: Date.now(), isFetching: false, isInvalidated: false });
+          scheduleGc(entry);
+          return data;
+        },
+        (error) => {
+          // Aborted, or replaced after an abort: cancel() already cleaned up
+          if (entry.promise !== promise) throw error;
+          // Stale data stays; the error says it couldn't be refreshed
+          entry.promise = null;
+          entry.controller = null;
+          setState(entry, { error, isFetching: false });
+          scheduleGc(entry);
+          throw error;
+        }
+      );
+    entry.promise = promise;
+    entry.controller = controller;
+    return promise;
+  };
+
+  // Stops the running fetch. The entry goes back to how it was before, so
+  // the next fetch for the key starts a new request.
+  const cancel = (entry) => {
+    if (!entry.controller) return;
+    entry.controller.abort();
+    entry.promise = null;
+    entry.controller = null;
+    setState(entry, { isFetching: false });
+  };
+
+  // Fetches only when there is no fresh data. Errors end up in the state.
+  const ensureQuery = (key, fetcher, options = {}) => {
+    const entry = getEntry(key);
+    entry.fetcher = fetcher;
+    entry.staleTime = options.staleTime ?? staleTime;
+    if (!isStale(entry)) return Promise.resolve(entry.state.data);
+    return fetchQuery(key).catch(() => entry.state.data);
+  };
+
+  const refetchStale = () => {
+    entries.forEach(entry => {
+      if (entry.listeners.size > 0 && entry.fetcher && isStale(entry)) {
+        fetchQuery(entry.key).catch(() => {});
+      }
+    });
+  };
+
+  const watchFocus = () => {
+    if (!refetchOnWindowFocus || stopWatchingFocus || typeof window === 'undefined') return;
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') refetchStale();
+    };
+    window.addEventListener('focus', refetchStale);
+    document.addEventListener('visibilitychange', handleVisibility);
+    stopWatchingFocus = () => {
+      window.removeEventListener('focus', refetchStale);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      stopWatchingFocus = null;
+    };
+  };
+
+  const subscribe = (key, listener) => {
+    const entry = getEntry(key);
+    clearTimeout(entry.gcTimer);
+    entry.listeners.add(listener);
+    watchFocus();
+
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0) cancel(entry);
+      scheduleGc(entry);
+    };
+  };
+
+  const getState = (key) => {
+    const entry = entries.get(hashKey(key));
+    return entry ? entry.state : EMPTY_STATE;
+  };
+
+  // Marks every query under `prefix` as stale (all of them by default) and
+  // refetches the ones on screen
+  const invalidate = (prefix = []) => {
+    entries.forEach(entry => {
+      if (startsWith(entry.key, prefix)) setState(entry, { isInvalidated: true });
+    });
+    refetchStale();
+  };
+
+  const clear = () => {
+    entries.forEach(entry => {
+      clearTimeout(entry.gcTimer);
+      cancel(entry);
+    });
+    entries.clear();
+    if (stopWatchingFocus) stopWatchingFocus();
+  };
+
+  return { getState, subscribe, fetchQuery, ensureQuery, invalidate, clear };
+}
+
+// Shared by every component that doesn't pass its own client
+export const queryClient = createQueryClient();
@@ -0,0 +1,48 @@
+// useQuery: read a key from the query cache and keep it fresh
+//
+//   const { data, error, isLoading, isFetching } = useQuery(
+//     ['user', userId],
+//     ({ signal }) => fetchUser(userId, signal),
+//     { staleTime: 60 * 1000 }
+//   );
+//
+// Pass `signal` on to fetch() so leaving a key cancels its request; the
+// response for a key you've moved away from never reaches the component.
+// `isLoading` is true only while there is nothing to show yet; a background
+// refresh of cached data sets `isFetching` instead. With `enabled: false`
+// nothing is fetched (e.g. while a search box is empty).
+
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+import { hashKey, queryClient } from './query-client';
+
+const noop = () => {};
+
+export function useQuery(key, fetcher, options = {}) {
+  const { enabled = true, staleTime, client = queryClient } = options;
+  const hash = hashKey(key);
+
+  // `hash` stands in for `key`, which is a new array on every render
+  const subscribe = useCallback(
+    (listener) => (enabled ? client.subscribe(key, listener) : noop),
+    [client, hash, enabled]
+  );
+  const state = useSyncExternalStore(subscribe, () => client.getState(key));
+
+  // Only re-run when the key changes: the fetcher from that render is the
+  // one that belongs to the key (a later one may close over a newer id)
+  useEffect(() => {
+    if (enabled) client.ensureQuery(key, fetcher, { staleTime });
+  }, [client, hash, enabled, staleTime]);
+
+  const refetch = () => client.fetchQuery(key, fetcher);
+
+  return {
+    data: state.data,
+    error: state.error,
+    updatedAt: state.updatedAt,
+    // Nothing to show yet, and no error from the last try (or trying again)
+    isLoading: enabled && state.data === undefined && (state.isFetching || state.error === null),
+    isFetching: state.isFetching,
+    refetch
+  };
+}
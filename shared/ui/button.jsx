@@ -0,0 +1,62 @@
+// Button
+// variant: primary, secondary (outlined), subtle (grey), danger, warning or
+// ghost (no background). size: sm, md or lg. While `loading` it is disabled
+// and shows `loadingLabel` if there is one.
+
+import { tokens } from './tokens';
+
+const { color, space, radius, fontSize } = tokens;
+
+const VARIANTS = {
+  primary: { background: color.primary, color: color.textInverse, border: 'none' },
+  secondary: { background: color.surface, color: color.primary, border: `1px solid ${color.primary}` },
+  subtle: { background: color.subtle, color: color.text, border: 'none' },
+  danger: { background: color.danger, color: color.textInverse, border: 'none' },
+  warning: { background: color.warning, color: color.text, border: 'none' },
+  ghost: { background: 'none', color: 'inherit', border: 'none' }
+};
+
+const SIZES = {
+  sm: { padding: `${space.xs} ${space.md}`, fontSize: fontSize.sm },
+  md: { padding: `${space.md} ${space.xl}`, fontSize: fontSize.md },
+  lg: { padding: '12px 24px', fontSize: fontSize.md, fontWeight: 'bold' }
+};
+
+export function Button({
+  variant = 'primary',
+  size = 'md',
+  fullWidth = false,
+  loading = false,
+  loadingLabel,
+  disabled,
+  type = 'button',
+  style,
+  children,
+  ...props
+}) {
+  const isDisabled = disabled || loading;
+  // Filled buttons go grey; the others fade
+  const disabledStyle = variant === 'primary'
+    ? { background: color.disabled }
+    : { opacity: 0.6 };
+
+  return (
+    <button
+      type={type}
+      disabled={isDisabled}
+      aria-busy={loading || undefined}
+      {...props}
+      style={{
+        ...VARIANTS[variant],
+        ...SIZES[size],
+        width: fullWidth ? '100%' : undefined,
+        borderRadius: radius.sm,
+        cursor: isDisabled ? 'not-allowed' : 'pointer',
+        ...(isDisabled && disabledStyle),
+        ...style
+      }}
+    >
+      {loading && loadingLabel ? loadingLabel : children}
+    </button>
+  );
+}
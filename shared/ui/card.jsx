@@ -0,0 +1,25 @@
+// Card: a white panel for grouping content. `elevated` adds a shadow,
+// for cards on a colored background.
+
+import { tokens } from './tokens';
+
+const { color, space, radius, shadow } = tokens;
+
+export function Card({ title, elevated = false, style, children, ...props }) {
+  return (
+    <div
+      {...props}
+      style={{
+        padding: space.xl,
+        background: color.surface,
+        border: elevated ? 'none' : `1px solid ${color.border}`,
+        borderRadius: radius.md,
+        boxShadow: elevated ? shadow.card : 'none',
+        ...style
+      }}
+    >
+      {title && <h3 style={{ marginTop: 0 }}>{title}</h3>}
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+// Form controls
+// Field lays out a label, a control, help text and an error, and links
+// them up for screen readers. Pass the control as a function to get the
+// props that do the linking:
+//
+//   <Field id="email" label="Email" required error={errors.email}>
+//     {(control) => <TextInput {...control} value={email} onChange={...} />}
+//   </Field>
+//
+// `control` is { id, invalid, required, describedBy }, which TextInput,
+// Select and Checkbox (and custom inputs like PhoneInput) all accept.
+// TextInput and Select pass their ref on to the element.
+
+import { forwardRef } from 'react';
+import { tokens } from './tokens';
+
+const { color, space, radius, fontSize } = tokens;
+
+const CONTROL_SIZES = {
+  sm: { padding: '4px 6px', fontSize: fontSize.sm },
+  md: { padding: space.sm },
+  lg: { padding: space.md, fontSize: fontSize.md }
+};
+
+const controlStyle = (size, invalid) => ({
+  ...CONTROL_SIZES[size],
+  border: invalid ? `2px solid ${color.error}` : `1px solid ${color.inputBorder}`,
+  borderRadius: radius.sm,
+  boxSizing: 'border-box'
+});
+
+const helpId = (id) => `${id}-hint`;
+const errorId = (id) => `${id}-error`;
+
+export function Field({ id, label, required = false, help, error, style, children }) {
+  const describedBy = [help && helpId(id), error && errorId(id)].filter(Boolean).join(' ') || undefined;
+  const control = { id, invalid: Boolean(error), required, describedBy };
+
+  return (
+    <div style={{ marginBottom: space.lg, ...style }}>
+      {label && (
+        <label htmlFor={id} style={{ display: 'block', marginBottom: space.xs }}>
+          {required ? `${label} *` : label}
+        </label>
+      )}
+      {typeof children === 'function' ? children(control) : children}
+      {help && (
+        <div id={helpId(id)} style={{ fontSize: fontSize.sm, color: color.muted }}>
+          {help}
+        </div>
+      )}
+      {error && (
+        <span
+          id={errorId(id)}
+          style={{ display: 'block', marginTop: space.xs, fontSize: fontSize.sm, color: color.error }}
+        >
+          {error}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export const TextInput = forwardRef(function TextInput(
+  { size = 'md', invalid = false, required, describedBy, style, ...props },
+  ref
+) {
+  return (
+    <input
+      ref={ref}
+      type="text"
+      {...props}
+      aria-invalid={invalid}
+      aria-required={required || undefined}
+      aria-describedby={describedBy}
+      style={{ width: '100%', ...controlStyle(size, invalid), ...style }}
+    />
+  );
+});
+
+export const Select = forwardRef(function Select(
+  { size = 'md', invalid = false, required, describedBy, style, children, ...props },
+  ref
+) {
+  return (
+    <select
+      ref={ref}
+      {...props}
+      aria-invalid={invalid}
+      aria-required={required || undefined}
+      aria-describedby={describedBy}
+      style={{ ...controlStyle(size, invalid), background: color.surface, ...style }}
+    >
+      {children}
+    </select>
+  );
+});
+
+// Without a `label` it is just the box, e.g. in a list row with an aria-label
+export function Checkbox({ label, invalid = false, required, describedBy, style, ...props }) {
+  const input = (
+    <input
+      type="checkbox"
+      {...props}
+      aria-invalid={invalid}
+      aria-required={required || undefined}
+      aria-describedby={describedBy}
+      style={{ margin: label ? `0 ${space.sm} 0 0` : 0, cursor: 'pointer', ...(!label && style) }}
+    />
+  );
+
+  if (!label) return input;
+
+  return (
+    <label style={{ display: 'inline-flex', alignItems: 'center', cursor: 'pointer', ...style }}>
+      {input}
+      <span>{label}</span>
+    </label>
+  );
+}
@@ -0,0 +1,5 @@
+// Shared component kit, styled from the design tokens in tokens.js
+export { tokens } from './tokens';
+export { Button } from './button';
+export { Card } from './card';
+export { Checkbox, Field, Select, TextInput } from './form-controls';
@@ -0,0 +1,49 @@
+// Design tokens
+// Every color, spacing and size the shared components use. Apps reach for
+// these too, instead of repeating '#007bff' and friends in inline styles.
+
+export const tokens = {
+  color: {
+    primary: '#007bff',
+    danger: '#dc3545',
+    warning: '#ffc107',
+    success: 'green',
+    error: 'red',
+    text: 'black',
+    textInverse: 'white',
+    muted: '#666',
+    faint: '#999',
+    surface: 'white',
+    subtle: '#f0f0f0',
+    border: '#ddd',
+    inputBorder: '#ccc',
+    disabled: '#ccc',
+    // Message boxes: text on background
+    successText: '#155724',
+    successBackground: '#d4edda',
+    errorText: '#721c24',
+    errorBackground: '#f8d7da',
+    warningBackground: '#fff3cd'
+  },
+  space: {
+    xs: '5px',
+    sm: '8px',
+    md: '10px',
+    lg: '15px',
+    xl: '20px'
+  },
+  radius: {
+    sm: '4px',
+    md: '8px',
+    pill: '10px'
+  },
+  fontSize: {
+    xs: '12px',
+    sm: '14px',
+    md: '16px',
+    lg: '18px'
+  },
+  shadow: {
+    card: '0 4px 6px rgba(0,0,0,0.1)'
+  }
+};